@@ -0,0 +1,97 @@
+// Predefined automation rules offered from GET /api/automation/templates
+const automationTemplates = [
+  {
+    id: 'greeting',
+    name: 'Auto Greeting',
+    description: 'Automatically greet customers when they message',
+    type: 'keyword',
+    trigger: {
+      keywords: ['hello', 'hi', 'hey', 'namaste'],
+      matchType: 'contains',
+      caseSensitive: false
+    },
+    actions: [
+      {
+        type: 'send_message',
+        params: {
+          message: 'Hello! 👋 Welcome to our business. How can I assist you today?'
+        }
+      }
+    ]
+  },
+  {
+    id: 'order_status',
+    name: 'Order Status Check',
+    description: 'Handle order status inquiries',
+    type: 'keyword',
+    trigger: {
+      keywords: ['order status', 'track order', 'where is my order'],
+      matchType: 'contains',
+      caseSensitive: false
+    },
+    actions: [
+      {
+        type: 'send_message',
+        params: {
+          message: "I'll help you track your order. Please provide your order number."
+        }
+      }
+    ]
+  },
+  {
+    id: 'price_inquiry',
+    name: 'Product Price Inquiry',
+    description: 'Respond to price inquiries',
+    type: 'keyword',
+    trigger: {
+      keywords: ['price', 'cost', 'rate', 'how much'],
+      matchType: 'contains',
+      caseSensitive: false
+    },
+    actions: [
+      {
+        type: 'send_message',
+        params: {
+          message: 'For product pricing and catalog, please visit our website or I can share our latest price list.'
+        }
+      }
+    ]
+  },
+  {
+    id: 'order_confirmed',
+    name: 'Order Confirmed',
+    description: 'Send confirmation when order is confirmed',
+    type: 'order_status',
+    trigger: {
+      orderStatuses: ['confirmed']
+    },
+    actions: [
+      {
+        type: 'send_template',
+        params: {
+          templateName: 'order_confirmation',
+          language: 'en'
+        }
+      }
+    ]
+  },
+  {
+    id: 'payment_reminder',
+    name: 'Payment Reminder',
+    description: 'Send reminder for overdue payments',
+    type: 'payment_due',
+    trigger: {
+      paymentOverdueDays: 7
+    },
+    actions: [
+      {
+        type: 'send_message',
+        params: {
+          message: 'This is a friendly reminder that your payment is overdue. Please arrange payment at your earliest convenience.'
+        }
+      }
+    ]
+  }
+];
+
+module.exports = automationTemplates;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Automation work that runs later: the rest of a rule's actions after a delay, another
+// attempt at a failed webhook delivery, or a replay of a dead-lettered one. Kept out of the
+// inbound worker so waiting never holds up message processing.
+const actionJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Dead letters can outlive their rule, so replays may have none
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: function() { return this.type !== 'replay'; }
+  },
+  type: {
+    type: String,
+    enum: ['actions', 'webhook', 'replay'],
+    required: true
+  },
+  // RuleExecution the results are added to
+  execution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RuleExecution'
+  },
+  // Documents the rule ran against, loaded again when the job runs
+  context: {
+    trigger: String,
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }
+  },
+  // `actions` jobs continue the rule from this action; delayElapsed means its own delay
+  // has already been waited out
+  startIndex: Number,
+  delayElapsed: Boolean,
+  // `replay` jobs re-send this dead letter
+  deadLetter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDeadLetter'
+  },
+  // `webhook` and `replay` jobs retry this delivery; attempts are those of this run
+  webhook: {
+    actionIndex: Number,
+    deliveryId: String,
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: [{
+      attemptedAt: Date,
+      statusCode: Number,
+      error: String,
+      durationMs: Number
+    }]
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  lockedAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Ids of the documents in an action context
+actionJobSchema.statics.contextRefs = function(context) {
+  return {
+    trigger: context.trigger,
+    customer: context.customer?._id,
+    conversation: context.conversation?._id,
+    message: context.message?._id,
+    order: context.order?._id,
+    invoice: context.invoice?._id
+  };
+};
+
+// Index for better query performance
+actionJobSchema.index({ status: 1, runAt: 1 });
+actionJobSchema.index({ user: 1, status: 1, createdAt: -1 });
+// Finished jobs are kept for a week
+actionJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ActionJob', actionJobSchema);
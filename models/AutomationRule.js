@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+// Shown in place of webhook signing secrets anywhere a rule leaves the server
+const REDACTED_SECRET = '********';
+
+// Copy of `value` (a rule, its actions, a snapshot or a diff) with every secret masked
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    key === 'secret' && item ? REDACTED_SECRET : redactSecrets(item)
+  ]));
+}
+
 const automationRuleSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -77,8 +93,15 @@ const automationRuleSchema = new mongoose.Schema({
       enum: ['equals', 'not_equals', 'greater_than', 'less_than', 'contains', 'in', 'not_in']
     },
     value: mongoose.Schema.Types.Mixed,
-    field: String
+    field: String,
+    // Conditions sharing a group must all pass together
+    group: String
   }],
+  conditionLogic: {
+    type: String,
+    enum: ['and', 'or'],
+    default: 'and'
+  },
   actions: [{
     type: {
       type: String,
@@ -131,9 +154,18 @@ const automationRuleSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.actions = redactSecrets(ret.actions);
+      return ret;
+    }
+  }
 });
 
+automationRuleSchema.statics.REDACTED_SECRET = REDACTED_SECRET;
+automationRuleSchema.statics.redactSecrets = redactSecrets;
+
 // Index for better query performance
 automationRuleSchema.index({ user: 1, isActive: 1 });
 automationRuleSchema.index({ user: 1, type: 1 });
@@ -47,7 +47,8 @@ const conversationSchema = new mongoose.Schema({
   },
   lastMessage: {
     content: String,
-    type: String,
+    // `type` needs the long form, otherwise it would make lastMessage itself a String
+    type: { type: String },
     direction: String,
     timestamp: Date,
     sender: {
@@ -56,6 +57,34 @@ const conversationSchema = new mongoose.Schema({
     }
   },
   tags: [String],
+  // Bot dialog waiting for the customer's next message (see dialogService)
+  dialog: {
+    flow: String,
+    step: String,
+    // Answers that failed validation at the current step
+    attempts: Number,
+    expiresAt: Date
+  },
+  // Cart of the `order` dialog flow (see orderDialogService)
+  orderDraft: {
+    items: [{
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      name: String,
+      quantity: Number
+    }],
+    // Items that matched several products, asked about one at a time
+    clarifications: [{
+      query: String,
+      quantity: Number,
+      // Measure the quantity was given in (kg, g, liter, ml), converted once a product is picked
+      unit: String,
+      options: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+    }],
+    address: {
+      street: String,
+      postalCode: String
+    }
+  },
   customFields: mongoose.Schema.Types.Mixed,
   metadata: {
     source: String,
@@ -68,6 +97,32 @@ const conversationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Find the customer's open conversation, if any
+conversationSchema.statics.findOpen = function(userId, customerId) {
+  return this.findOne({
+    user: userId,
+    customer: customerId,
+    status: { $ne: 'closed' }
+  });
+};
+
+// Find the customer's open conversation, starting a new one when none exists
+conversationSchema.statics.findOrCreateOpen = async function(userId, customerId) {
+  let conversation = await this.findOpen(userId, customerId);
+
+  if (!conversation) {
+    conversation = new this({
+      user: userId,
+      customer: customerId,
+      channel: 'whatsapp',
+      status: 'open'
+    });
+    await conversation.save();
+  }
+
+  return conversation;
+};
+
 // Index for better query performance
 conversationSchema.index({ user: 1, createdAt: -1 });
 conversationSchema.index({ user: 1, customer: 1 });
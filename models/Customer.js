@@ -58,6 +58,8 @@ const customerSchema = new mongoose.Schema({
     default: 0
   },
   lastOrderDate: Date,
+  // Opens WhatsApp's 24-hour customer service window
+  lastIncomingMessageAt: Date,
   preferredChannel: {
     type: String,
     enum: ['whatsapp', 'call', 'email', 'sms'],
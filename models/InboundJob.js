@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const inboundJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['message', 'status'],
+    required: true
+  },
+  // WhatsApp message ID of an incoming message; unique so webhook retries are queued once
+  messageId: String,
+  // Jobs sharing a key (one per customer) are processed strictly in message order
+  orderingKey: String,
+  messageTimestamp: Number,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    error: String,
+    failedAt: Date
+  }],
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+inboundJobSchema.index({ messageId: 1 }, { unique: true, sparse: true });
+inboundJobSchema.index({ status: 1, nextAttemptAt: 1, messageTimestamp: 1 });
+inboundJobSchema.index({ orderingKey: 1, status: 1 });
+inboundJobSchema.index({ user: 1, status: 1, createdAt: -1 });
+// Completed jobs are kept for a week
+inboundJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('InboundJob', inboundJobSchema);
@@ -22,27 +22,74 @@ const messageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'document', 'audio', 'video', 'location', 'contact', 'template'],
+    enum: ['text', 'image', 'document', 'audio', 'video', 'sticker', 'location', 'contact', 'reaction', 'button', 'interactive', 'order', 'template', 'unsupported'],
     default: 'text'
   },
   content: {
     text: String,
     media: {
+      // Served from GET /api/whatsapp/media/:messageId once downloaded
       url: String,
+      // WhatsApp media ID of incoming media; it expires, so the file is copied to storage
+      mediaId: String,
       mimeType: String,
       fileName: String,
       fileSize: Number,
-      caption: String
+      sha256: String,
+      caption: String,
+      voice: Boolean,
+      animated: Boolean,
+      storage: String,
+      storageKey: String,
+      downloadedAt: Date,
+      downloadError: String
     },
     location: {
       latitude: Number,
       longitude: Number,
       name: String,
-      address: String
+      address: String,
+      url: String
     },
     contact: {
       name: String,
-      phone: String
+      phone: String,
+      waId: String,
+      email: String,
+      organization: String
+    },
+    // Every contact in a shared contacts message; `contact` holds the first
+    contacts: [{
+      _id: false,
+      name: String,
+      phone: String,
+      waId: String,
+      email: String,
+      organization: String
+    }],
+    // Button or list reply; `id` is the payload set when the buttons were sent
+    interactive: {
+      type: { type: String },
+      id: String,
+      title: String,
+      description: String
+    },
+    // Cart sent from the WhatsApp catalog
+    cart: {
+      catalogId: String,
+      text: String,
+      items: [{
+        _id: false,
+        retailerId: String,
+        quantity: Number,
+        price: Number,
+        currency: String
+      }]
+    },
+    reaction: {
+      // WhatsApp ID of the message reacted to
+      messageId: String,
+      emoji: String
     }
   },
   template: {
@@ -56,9 +103,29 @@ const messageSchema = new mongoose.Schema({
     messageTimestamp: Number,
     status: {
       type: String,
-      enum: ['sent', 'delivered', 'read', 'failed', 'pending'],
+      enum: ['sent', 'delivered', 'read', 'failed', 'pending', 'received'],
       default: 'pending'
     },
+    sentAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+    failedAt: Date,
+    error: {
+      code: Number,
+      title: String,
+      message: String,
+      details: String
+    },
+    attempts: [{
+      attempt: Number,
+      attemptedAt: Date,
+      success: Boolean,
+      statusCode: Number,
+      errorCode: Number,
+      error: String,
+      retryable: Boolean,
+      durationMs: Number
+    }],
     pricing: {
       category: String,
       billable: Boolean
@@ -88,6 +155,8 @@ const messageSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message'
     },
+    // WhatsApp ID of the quoted message, kept even when we don't have it stored
+    replyToMessageId: String,
     forwarded: Boolean,
     forwardedManyTimes: Boolean,
     isForwarded: Boolean
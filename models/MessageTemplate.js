@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+const PLACEHOLDER_PATTERN = /{{\s*(\d+)\s*}}/g;
+
+// Positional placeholders ({{1}}, {{2}}, ...) used in a piece of template text
+function extractPlaceholders(text) {
+  const indices = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => parseInt(match[1]));
+  return [...new Set(indices)].sort((a, b) => a - b);
+}
+
+const messageTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]{1,512}$/, 'Template names may only contain lowercase letters, numbers and underscores']
+  },
+  language: {
+    type: String,
+    required: true,
+    default: 'en'
+  },
+  category: {
+    type: String,
+    enum: ['MARKETING', 'UTILITY', 'AUTHENTICATION'],
+    required: true
+  },
+  description: String,
+  components: {
+    header: {
+      format: {
+        type: String,
+        enum: ['TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT', 'LOCATION']
+      },
+      text: String
+    },
+    body: {
+      text: {
+        type: String,
+        required: true,
+        maxlength: 1024
+      }
+    },
+    footer: {
+      text: {
+        type: String,
+        maxlength: 60
+      }
+    },
+    buttons: [{
+      type: {
+        type: String,
+        enum: ['QUICK_REPLY', 'URL', 'PHONE_NUMBER'],
+        required: true
+      },
+      text: {
+        type: String,
+        required: true,
+        maxlength: 25
+      },
+      url: String,
+      phoneNumber: String
+    }]
+  },
+  // Describes each {{n}} placeholder; examples are required by Meta's review
+  placeholders: [{
+    component: {
+      type: String,
+      enum: ['header', 'body', 'button'],
+      default: 'body'
+    },
+    index: {
+      type: Number,
+      required: true
+    },
+    buttonIndex: Number,
+    name: String,
+    example: String
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'pending', 'approved', 'rejected', 'paused', 'disabled'],
+    default: 'draft'
+  },
+  whatsappTemplateId: String,
+  rejectedReason: String,
+  submittedAt: Date,
+  lastSyncedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+messageTemplateSchema.index({ user: 1, name: 1, language: 1 }, { unique: true });
+messageTemplateSchema.index({ user: 1, status: 1 });
+
+// Placeholder indices per component: { header: [1], body: [1, 2], buttons: { 0: [1] } }
+messageTemplateSchema.methods.getParameterSlots = function() {
+  const { header, body, buttons } = this.components || {};
+
+  const buttonSlots = {};
+  (buttons || []).forEach((button, index) => {
+    if (button.type === 'URL' && extractPlaceholders(button.url).length > 0) {
+      buttonSlots[index] = extractPlaceholders(button.url);
+    }
+  });
+
+  return {
+    header: header?.format === 'TEXT' ? extractPlaceholders(header.text) : [],
+    headerMedia: ['IMAGE', 'VIDEO', 'DOCUMENT', 'LOCATION'].includes(header?.format) ? header.format : null,
+    body: extractPlaceholders(body?.text),
+    buttons: buttonSlots
+  };
+};
+
+// Checks send-time components against the template's placeholders; returns a list of errors
+messageTemplateSchema.methods.validateSendComponents = function(components = []) {
+  const slots = this.getParameterSlots();
+  const errors = [];
+
+  const find = (type, index) => components.find(component =>
+    component.type?.toLowerCase() === type && (index === undefined || parseInt(component.index) === index));
+
+  const bodyParameters = find('body')?.parameters || [];
+  if (bodyParameters.length !== slots.body.length) {
+    errors.push(`body expects ${slots.body.length} parameter(s), got ${bodyParameters.length}`);
+  }
+
+  const headerParameters = find('header')?.parameters || [];
+  if (slots.headerMedia) {
+    const mediaType = slots.headerMedia.toLowerCase();
+    if (headerParameters.length !== 1 || headerParameters[0].type !== mediaType) {
+      errors.push(`header expects one ${mediaType} parameter`);
+    }
+  } else if (headerParameters.length !== slots.header.length) {
+    errors.push(`header expects ${slots.header.length} parameter(s), got ${headerParameters.length}`);
+  }
+
+  Object.entries(slots.buttons).forEach(([index, placeholders]) => {
+    const parameters = find('button', parseInt(index))?.parameters || [];
+    if (parameters.length !== placeholders.length) {
+      errors.push(`button ${index} expects ${placeholders.length} parameter(s), got ${parameters.length}`);
+    }
+  });
+
+  const buttons = this.components?.buttons || [];
+  components.forEach(component => {
+    const type = component.type?.toLowerCase();
+    if (type === 'body' || type === 'header') return;
+    if (type !== 'button') {
+      errors.push(`unexpected ${component.type} component${component.index !== undefined ? ` at index ${component.index}` : ''}`);
+      return;
+    }
+
+    const index = parseInt(component.index);
+    const button = buttons[index];
+    if (!button) {
+      errors.push(`unexpected button component at index ${component.index}: the template has no button there`);
+      return;
+    }
+
+    // Quick reply buttons take an optional payload returned when the customer taps them
+    if (component.sub_type?.toLowerCase() === 'quick_reply') {
+      if (button.type !== 'QUICK_REPLY') {
+        errors.push(`button ${index} is a ${button.type} button, not QUICK_REPLY`);
+      } else if ((component.parameters || []).some(parameter => parameter.type !== 'payload')) {
+        errors.push(`button ${index} only takes payload parameters`);
+      }
+      return;
+    }
+
+    if (!slots.buttons[index]) {
+      errors.push(`unexpected button component at index ${index}: button ${index} is a ${button.type} button without placeholders`);
+    }
+  });
+
+  return errors;
+};
+
+messageTemplateSchema.statics.extractPlaceholders = extractPlaceholders;
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
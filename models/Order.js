@@ -157,14 +157,20 @@ const orderSchema = new mongoose.Schema({
     enum: ['low', 'normal', 'high', 'urgent'],
     default: 'normal'
   },
+  // Whether the items have been taken out of stock; WhatsApp cart orders only hold stock
+  // once the customer confirms them
+  inventoryReserved: {
+    type: Boolean,
+    default: true
+  },
   cancelledAt: Date,
   cancellationReason: String
 }, {
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', async function(next) {
+// Generate order number before validation, which runs ahead of save hooks
+orderSchema.pre('validate', async function(next) {
   if (!this.orderNumber) {
     const date = new Date();
     const year = date.getFullYear().toString().slice(-2);
@@ -117,7 +117,12 @@ const productSchema = new mongoose.Schema({
     default: false
   },
   tags: [String],
-  searchKeywords: [String]
+  searchKeywords: [String],
+  // Set once the product is published to the WhatsApp catalog (retailer ID = SKU)
+  whatsappCatalog: {
+    retailerId: String,
+    syncedAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const ruleExecutionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: true
+  },
+  ruleName: String,
+  ruleType: String,
+  trigger: {
+    type: {
+      type: String,
+      enum: ['message', 'order_status', 'scheduled', 'manual']
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failure', 'skipped'],
+    required: true
+  },
+  skipReason: String,
+  matchedConditions: [{
+    index: Number,
+    type: { type: String },
+    operator: String,
+    field: String,
+    group: String,
+    expected: mongoose.Schema.Types.Mixed,
+    actual: mongoose.Schema.Types.Mixed,
+    passed: Boolean,
+    error: String
+  }],
+  actions: [{
+    index: Number,
+    type: { type: String },
+    status: {
+      type: String,
+      // scheduled: delayed, or a webhook waiting to retry; the outcome is added later
+      enum: ['success', 'failed', 'scheduled']
+    },
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    durationMs: Number
+  }],
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+ruleExecutionSchema.index({ rule: 1, createdAt: -1 });
+ruleExecutionSchema.index({ user: 1, createdAt: -1 });
+ruleExecutionSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('RuleExecution', ruleExecutionSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const ruleVersionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changeType: {
+    type: String,
+    enum: ['created', 'updated', 'toggled', 'rolled_back', 'imported'],
+    required: true
+  },
+  restoredFrom: Number, // version a rollback restored
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  diff: [{
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+ruleVersionSchema.index({ rule: 1, version: -1 }, { unique: true });
+ruleVersionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RuleVersion', ruleVersionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const taskSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'done', 'cancelled'],
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  dueAt: Date,
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'automation'],
+    default: 'manual'
+  },
+  automationRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+taskSchema.index({ user: 1, status: 1, dueAt: 1 });
+taskSchema.index({ user: 1, assignee: 1 });
+
+module.exports = mongoose.model('Task', taskSchema);
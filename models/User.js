@@ -45,6 +45,24 @@ const userSchema = new mongoose.Schema({
   },
   whatsappPhoneId: String,
   whatsappAccessToken: String,
+  // WhatsApp Business Account that owns the number; message templates live on it
+  whatsappBusinessAccountId: String,
+  // Commerce catalog connected to the WhatsApp Business Account
+  whatsappCatalogId: String,
+  // UPI ID customers pay invoices to; used for payment links
+  upiId: String,
+  // Approved templates sent instead of these notifications outside the 24-hour service window;
+  // unset ones fall back to the WHATSAPP_TEMPLATE_* defaults
+  fallbackTemplates: {
+    invoiceReminder: String,
+    orderStatusUpdate: String,
+    paymentReceived: String
+  },
+  // Business account a manager or staff login works for; unset on the account's own login
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   lastLogin: Date,
   isActive: {
     type: Boolean,
@@ -54,6 +72,9 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Webhooks are routed to a business by phone number ID, so each number has one owner
+userSchema.index({ whatsappPhoneId: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -66,6 +87,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Find the business that owns a WhatsApp phone number ID (webhook metadata.phone_number_id)
+userSchema.statics.findByPhoneNumberId = function(phoneNumberId) {
+  return this.findOne({ whatsappPhoneId: phoneNumberId, whatsappConnected: true, isActive: true });
+};
+
+// Whether a user is the business account itself or one of its team members
+userSchema.statics.isTeamMember = async function(accountId, userId) {
+  if (!mongoose.isValidObjectId(userId)) return false;
+  return Boolean(await this.exists({ _id: userId, $or: [{ _id: accountId }, { account: accountId }] }));
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const webhookDeadLetterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule'
+  },
+  actionIndex: Number,
+  deliveryId: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    default: 'POST'
+  },
+  headers: mongoose.Schema.Types.Mixed,
+  payload: mongoose.Schema.Types.Mixed,
+  // `queued` while a replay is waiting for or between attempts
+  status: {
+    type: String,
+    enum: ['dead', 'queued', 'replayed'],
+    default: 'dead'
+  },
+  attempts: [{
+    attemptedAt: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  lastError: String,
+  replayedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+webhookDeadLetterSchema.index({ user: 1, status: 1, createdAt: -1 });
+webhookDeadLetterSchema.index({ rule: 1 });
+
+module.exports = mongoose.model('WebhookDeadLetter', webhookDeadLetterSchema);
@@ -273,6 +273,21 @@ router.get('/conversations', auth, async (req, res) => {
       }
     ]);
 
+    // Delivery funnel of outgoing WhatsApp messages, from webhook status callbacks
+    const outgoingQuery = {
+      user: req.userId,
+      direction: 'outgoing',
+      'whatsapp.messageId': { $exists: true },
+      createdAt: { $gte: startDate }
+    };
+    const [sent, delivered, read, failed] = await Promise.all([
+      Message.countDocuments(outgoingQuery),
+      Message.countDocuments({ ...outgoingQuery, 'whatsapp.status': { $in: ['delivered', 'read'] } }),
+      Message.countDocuments({ ...outgoingQuery, 'whatsapp.status': 'read' }),
+      Message.countDocuments({ ...outgoingQuery, 'whatsapp.status': 'failed' })
+    ]);
+    const rate = count => (sent > 0 ? ((count / sent) * 100).toFixed(1) : 0);
+
     res.json({
       byStatus,
       byDay,
@@ -281,6 +296,15 @@ router.get('/conversations', auth, async (req, res) => {
         automationRate: responseTime.totalMessages > 0
           ? ((responseTime.automatedMessages / responseTime.totalMessages) * 100).toFixed(1)
           : 0
+      },
+      delivery: {
+        sent,
+        delivered,
+        read,
+        failed,
+        deliveryRate: rate(delivered),
+        readRate: rate(read),
+        failureRate: rate(failed)
       }
     });
   } catch (error) {
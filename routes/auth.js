@@ -128,11 +128,11 @@ router.put('/profile', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
-    const { name, phone, businessName } = req.body;
+    const { name, phone, businessName, upiId, fallbackTemplates } = req.body;
 
     const user = await User.findByIdAndUpdate(
       decoded.userId,
-      { name, phone, businessName },
+      { name, phone, businessName, upiId, fallbackTemplates },
       { new: true }
     ).select('-password');
 
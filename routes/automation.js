@@ -1,10 +1,29 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const AutomationRule = require('../models/AutomationRule');
+const RuleExecution = require('../models/RuleExecution');
+const User = require('../models/User');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const automationTemplates = require('../config/automationTemplates');
 const aiAutomationService = require('../services/aiAutomationService');
+const actionExecutorService = require('../services/actionExecutorService');
+const ruleSchedulerService = require('../services/ruleSchedulerService');
+const ruleSimulatorService = require('../services/ruleSimulatorService');
+const ruleVersionService = require('../services/ruleVersionService');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
 const logger = require('../config/logger');
 
 const router = express.Router();
+// Rule fields a PUT may change; ownership, statistics and daily counters are server-managed
+const UPDATABLE_RULE_FIELDS = [
+  'name', 'description', 'isActive', 'priority', 'trigger',
+  'conditions', 'conditionLogic', 'actions'
+];
+// Constraint settings a PUT may change, set one by one so the daily limit's live
+// currentCount and resetAt are kept
+const UPDATABLE_CONSTRAINT_PATHS = [
+  ['timeWindow'], ['blackoutDates'], ['dailyLimit', 'enabled'], ['dailyLimit', 'maxMessages']
+];
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
 // Auth middleware
@@ -35,13 +54,54 @@ router.get('/rules', auth, async (req, res) => {
       .sort(sort)
       .lean();
 
-    res.json({ rules });
+    res.json({ rules: rules.map(rule => ({ ...rule, actions: AutomationRule.redactSecrets(rule.actions) })) });
   } catch (error) {
     logger.error('Get automation rules error:', error);
     res.status(500).json({ error: 'Failed to fetch automation rules' });
   }
 });
 
+// Export all rules as JSON, optionally with the predefined templates
+router.get('/rules/export', auth, async (req, res) => {
+  try {
+    const data = await ruleVersionService.exportRules(req.userId, {
+      includeTemplates: req.query.includeTemplates === 'true'
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename=automation-rules-${Date.now()}.json`);
+    res.json(data);
+  } catch (error) {
+    logger.error('Export rules error:', error);
+    res.status(500).json({ error: 'Failed to export automation rules' });
+  }
+});
+
+// Import rules exported from another account; rules with the same name are updated
+router.post('/rules/import', auth, async (req, res) => {
+  try {
+    const { data, includeTemplates = false } = req.body;
+
+    const result = await ruleVersionService.importRules(req.userId, req.userId, data, { includeTemplates });
+    [...result.created, ...result.updated].forEach(rule => ruleSchedulerService.register(rule));
+
+    logger.info(`Imported automation rules: ${result.created.length} created, ${result.updated.length} updated`);
+
+    res.json({
+      created: result.created.length,
+      updated: result.updated.length,
+      unchanged: result.unchanged.length,
+      rules: [...result.created, ...result.updated, ...result.unchanged],
+      message: 'Automation rules imported successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    logger.error('Import rules error:', error);
+    res.status(500).json({ error: 'Failed to import automation rules' });
+  }
+});
+
 // Get rule by ID
 router.get('/rules/:id', auth, async (req, res) => {
   try {
@@ -61,16 +121,152 @@ router.get('/rules/:id', auth, async (req, res) => {
   }
 });
 
+// Get execution log of a rule
+router.get('/rules/:id/executions', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, triggerType, customer, dateFrom, dateTo } = req.query;
+
+    const rule = await AutomationRule.findOne({
+      _id: req.params.id,
+      user: req.userId
+    }).select('_id');
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    const query = { rule: rule._id };
+    if (status) query.status = status;
+    if (triggerType) query['trigger.type'] = triggerType;
+    if (customer) query['trigger.customer'] = customer;
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const executions = await RuleExecution.find(query)
+      .populate('trigger.customer', 'name phone')
+      .populate('trigger.order', 'orderNumber status')
+      .populate('trigger.message', 'content.text type')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await RuleExecution.countDocuments(query);
+
+    res.json({
+      executions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get rule executions error:', error);
+    res.status(500).json({ error: 'Failed to fetch rule executions' });
+  }
+});
+
+// Get version history of a rule
+router.get('/rules/:id/versions', auth, async (req, res) => {
+  try {
+    const rule = await AutomationRule.exists({ _id: req.params.id, user: req.userId });
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    const versions = await ruleVersionService.getVersions(req.params.id, req.userId);
+
+    res.json({ versions });
+  } catch (error) {
+    logger.error('Get rule versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch rule versions' });
+  }
+});
+
+// Get a single version of a rule, including its full snapshot
+router.get('/rules/:id/versions/:version', auth, async (req, res) => {
+  try {
+    const version = await ruleVersionService.getVersion(req.params.id, req.userId, parseInt(req.params.version));
+
+    if (!version) {
+      return res.status(404).json({ error: 'Rule version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    logger.error('Get rule version error:', error);
+    res.status(500).json({ error: 'Failed to fetch rule version' });
+  }
+});
+
+// Roll a rule back to a previous version
+router.post('/rules/:id/rollback', auth, async (req, res) => {
+  try {
+    const { version } = req.body;
+
+    if (!version) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+
+    const rule = await AutomationRule.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    const ruleVersion = await ruleVersionService.rollback(rule, parseInt(version), req.userId);
+    ruleSchedulerService.register(rule);
+
+    logger.info(`Automation rule ${rule.name} rolled back to version ${version}`);
+
+    res.json({ rule, version: ruleVersion, message: `Rule rolled back to version ${version}` });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Rollback rule error:', error);
+    res.status(500).json({ error: 'Failed to roll back rule' });
+  }
+});
+
 // Create automation rule
 router.post('/rules', auth, async (req, res) => {
   try {
+    // A masked secret (from a rule read back from the API) has nothing to restore from here
+    const actions = ruleVersionService.restoreSecrets(req.body.actions);
+    const actionErrors = [
+      ...actionExecutorService.validateActions(actions),
+      ...await actionExecutorService.authorizeActions(actions, req.userId)
+    ];
+    if (actionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid automation actions', details: actionErrors });
+    }
+
+    if (req.body.type === 'scheduled') {
+      const scheduleError = ruleSchedulerService.validateSchedule(req.body.trigger?.schedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+    }
+
     const ruleData = {
       ...req.body,
+      actions,
       user: req.userId
     };
 
     const rule = new AutomationRule(ruleData);
     await rule.save();
+    await ruleVersionService.record(rule, req.userId, 'created');
+    ruleSchedulerService.register(rule);
 
     logger.info(`New automation rule created: ${rule.name}`);
 
@@ -84,18 +280,63 @@ router.post('/rules', auth, async (req, res) => {
 // Update automation rule
 router.put('/rules/:id', auth, async (req, res) => {
   try {
+    // Rules are sent to clients with webhook secrets masked; keep the stored ones
+    let actions;
+    if (req.body.actions) {
+      const current = await AutomationRule.findOne({ _id: req.params.id, user: req.userId }).select('actions');
+      actions = ruleVersionService.restoreSecrets(req.body.actions, current?.actions);
+
+      const actionErrors = [
+        ...actionExecutorService.validateActions(actions),
+        ...await actionExecutorService.authorizeActions(actions, req.userId)
+      ];
+      if (actionErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid automation actions', details: actionErrors });
+      }
+    }
+
+    if (req.body.trigger?.schedule) {
+      const scheduleError = ruleSchedulerService.validateSchedule(req.body.trigger.schedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+    }
+
+    const updates = {};
+    UPDATABLE_RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    UPDATABLE_CONSTRAINT_PATHS.forEach(path => {
+      const value = path.reduce((parent, key) => parent?.[key], req.body.constraints);
+      if (value !== undefined) {
+        updates[`constraints.${path.join('.')}`] = value;
+      }
+    });
+
+    if (actions) {
+      updates.actions = actions;
+    }
+
     const rule = await AutomationRule.findOneAndUpdate(
       { _id: req.params.id, user: req.userId },
-      req.body,
-      { new: true }
+      { $set: updates },
+      { new: true, runValidators: true }
     );
 
     if (!rule) {
       return res.status(404).json({ error: 'Automation rule not found' });
     }
 
+    await ruleVersionService.record(rule, req.userId, 'updated');
+    ruleSchedulerService.register(rule);
+
     res.json({ rule, message: 'Automation rule updated successfully' });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Update rule error:', error);
     res.status(500).json({ error: 'Failed to update automation rule' });
   }
@@ -115,6 +356,8 @@ router.patch('/rules/:id/toggle', auth, async (req, res) => {
 
     rule.isActive = !rule.isActive;
     await rule.save();
+    await ruleVersionService.record(rule, req.userId, 'toggled');
+    ruleSchedulerService.register(rule);
 
     res.json({ rule, message: `Rule ${rule.isActive ? 'activated' : 'deactivated'}` });
   } catch (error) {
@@ -135,6 +378,8 @@ router.delete('/rules/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Automation rule not found' });
     }
 
+    ruleSchedulerService.unregister(rule._id);
+
     res.json({ message: 'Automation rule deleted successfully' });
   } catch (error) {
     logger.error('Delete rule error:', error);
@@ -142,6 +387,66 @@ router.delete('/rules/:id', auth, async (req, res) => {
   }
 });
 
+// Resolve the rule to simulate: a saved rule by id, or an unsaved definition from the body
+async function resolveSimulationRule(req) {
+  if (req.body.ruleId) {
+    const rule = await AutomationRule.findOne({ _id: req.body.ruleId, user: req.userId });
+    if (!rule) {
+      throw Object.assign(new Error('Automation rule not found'), { status: 404 });
+    }
+    return rule;
+  }
+
+  if (!req.body.rule) {
+    throw Object.assign(new Error('ruleId or rule is required'), { status: 400 });
+  }
+
+  const rule = new AutomationRule({ ...req.body.rule, user: req.userId });
+  const validationError = rule.validateSync();
+  if (validationError) {
+    throw Object.assign(new Error(validationError.message), { status: 400 });
+  }
+  return rule;
+}
+
+// Dry-run a rule against a sample message, customer and order
+router.post('/rules/simulate', auth, async (req, res) => {
+  try {
+    const { messageText, customer, order } = req.body;
+
+    const rule = await resolveSimulationRule(req);
+    const user = await User.findById(req.userId);
+    const simulation = await ruleSimulatorService.simulate(rule, user, { messageText, customer, order });
+
+    res.json({ simulation });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Simulate rule error:', error);
+    res.status(500).json({ error: 'Failed to simulate rule' });
+  }
+});
+
+// Replay recent incoming messages against a rule
+router.post('/rules/simulate/replay', auth, async (req, res) => {
+  try {
+    const { limit = 50 } = req.body;
+
+    const rule = await resolveSimulationRule(req);
+    const user = await User.findById(req.userId);
+    const replay = await ruleSimulatorService.replay(rule, user, limit);
+
+    res.json({ replay });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Replay rule error:', error);
+    res.status(500).json({ error: 'Failed to replay messages' });
+  }
+});
+
 // Process message with AI
 router.post('/process-message', auth, async (req, res) => {
   try {
@@ -164,102 +469,7 @@ router.post('/process-message', auth, async (req, res) => {
 // Get predefined templates
 router.get('/templates', auth, async (req, res) => {
   try {
-    const templates = [
-      {
-        id: 'greeting',
-        name: 'Auto Greeting',
-        description: 'Automatically greet customers when they message',
-        type: 'keyword',
-        trigger: {
-          keywords: ['hello', 'hi', 'hey', 'namaste'],
-          matchType: 'contains',
-          caseSensitive: false
-        },
-        actions: [
-          {
-            type: 'send_message',
-            params: {
-              message: 'Hello! 👋 Welcome to our business. How can I assist you today?'
-            }
-          }
-        ]
-      },
-      {
-        id: 'order_status',
-        name: 'Order Status Check',
-        description: 'Handle order status inquiries',
-        type: 'keyword',
-        trigger: {
-          keywords: ['order status', 'track order', 'where is my order'],
-          matchType: 'contains',
-          caseSensitive: false
-        },
-        actions: [
-          {
-            type: 'send_message',
-            params: {
-              message: "I'll help you track your order. Please provide your order number."
-            }
-          }
-        ]
-      },
-      {
-        id: 'price_inquiry',
-        name: 'Product Price Inquiry',
-        description: 'Respond to price inquiries',
-        type: 'keyword',
-        trigger: {
-          keywords: ['price', 'cost', 'rate', 'how much'],
-          matchType: 'contains',
-          caseSensitive: false
-        },
-        actions: [
-          {
-            type: 'send_message',
-            params: {
-              message: 'For product pricing and catalog, please visit our website or I can share our latest price list.'
-            }
-          }
-        ]
-      },
-      {
-        id: 'order_confirmed',
-        name: 'Order Confirmed',
-        description: 'Send confirmation when order is confirmed',
-        type: 'order_status',
-        trigger: {
-          orderStatuses: ['confirmed']
-        },
-        actions: [
-          {
-            type: 'send_template',
-            params: {
-              templateName: 'order_confirmation',
-              language: 'en'
-            }
-          }
-        ]
-      },
-      {
-        id: 'payment_reminder',
-        name: 'Payment Reminder',
-        description: 'Send reminder for overdue payments',
-        type: 'payment_due',
-        trigger: {
-          paymentOverdueDays: 7
-        },
-        actions: [
-          {
-            type: 'send_message',
-            params: {
-              message: 'This is a friendly reminder that your payment is overdue. Please arrange payment at your earliest convenience.'
-            }
-          }
-        ]
-      }
-    ];
-
-    res.json({ templates });
+    res.json({ templates: automationTemplates });
   } catch (error) {
     logger.error('Get templates error:', error);
     res.status(500).json({ error: 'Failed to fetch templates' });
@@ -283,6 +493,83 @@ router.post('/suggestions', auth, async (req, res) => {
   }
 });
 
+// List webhook deliveries that permanently failed
+router.get('/webhooks/dead-letters', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'dead', rule } = req.query;
+
+    const query = { user: req.userId };
+    if (status !== 'all') query.status = status;
+    if (rule) query.rule = rule;
+
+    const deadLetters = await WebhookDeadLetter.find(query)
+      .populate('rule', 'name type')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await WebhookDeadLetter.countDocuments(query);
+
+    res.json({
+      deadLetters,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get webhook dead letters error:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+// Get a dead-lettered webhook delivery
+router.get('/webhooks/dead-letters/:id', auth, async (req, res) => {
+  try {
+    const deadLetter = await WebhookDeadLetter.findOne({
+      _id: req.params.id,
+      user: req.userId
+    }).populate('rule', 'name type');
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({ deadLetter });
+  } catch (error) {
+    logger.error('Get webhook dead letter error:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter' });
+  }
+});
+
+// Replay a dead-lettered webhook delivery
+router.post('/webhooks/dead-letters/:id/replay', auth, async (req, res) => {
+  try {
+    const deadLetter = await WebhookDeadLetter.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    if (deadLetter.status === 'queued') {
+      return res.status(409).json({ error: 'A replay of this webhook is already queued' });
+    }
+
+    const job = await webhookDeliveryService.queueReplay(deadLetter);
+
+    res.status(202).json({ deadLetter, jobId: job._id, message: 'Webhook replay queued' });
+  } catch (error) {
+    logger.error('Replay webhook dead letter error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook' });
+  }
+});
+
 // Get automation statistics
 router.get('/stats', auth, async (req, res) => {
   try {
@@ -3,8 +3,10 @@ const jwt = require('jsonwebtoken');
 const Invoice = require('../models/Invoice');
 const Order = require('../models/Order');
 const Customer = require('../models/Customer');
+const User = require('../models/User');
 const invoiceService = require('../services/invoiceService');
 const whatsappService = require('../services/whatsappService');
+const { ServiceWindowClosedError } = require('../utils/whatsappErrors');
 const logger = require('../config/logger');
 
 const router = express.Router();
@@ -202,10 +204,11 @@ router.post('/:id/send', auth, async (req, res) => {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
+    const user = await User.findById(req.userId);
     const result = await invoiceService.sendInvoicePDF(
       invoice._id,
       invoice.customer.phone,
-      req.user
+      user
     );
 
     res.json({ 
@@ -214,6 +217,13 @@ router.post('/:id/send', auth, async (req, res) => {
       message: 'Invoice sent successfully' 
     });
   } catch (error) {
+    if (error instanceof ServiceWindowClosedError) {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code,
+        lastIncomingAt: error.lastIncomingAt
+      });
+    }
     logger.error('Send invoice error:', error);
     res.status(500).json({ error: 'Failed to send invoice' });
   }
@@ -263,7 +273,10 @@ router.post('/:id/payment', auth, async (req, res) => {
       await invoice.populate('customer');
       const message = `💰 Payment Received!\n\nInvoice: ${invoice.invoiceNumber}\nAmount: ₹${amount}\nTotal Paid: ₹${invoice.paymentDetails.paidAmount}\nBalance: ₹${invoice.pricing.total - invoice.paymentDetails.paidAmount}`;
       
-      await whatsappService.sendTextMessage(invoice.customer.phone, message);
+      const client = whatsappService.forUser(await User.findById(req.userId));
+      await client.sendSessionMessage(invoice.customer.phone, message, {
+        fallbackTemplate: client.fallbackTemplate('paymentReceived', [invoice.invoiceNumber, `₹${amount}`])
+      });
     } catch (error) {
       logger.error('Failed to send payment confirmation:', error);
     }
@@ -292,7 +305,8 @@ router.post('/:id/reminder', auth, async (req, res) => {
       (today - new Date(invoice.dates.dueDate)) / (1000 * 60 * 60 * 24)
     );
 
-    await whatsappService.sendPaymentReminder(
+    const user = await User.findById(req.userId);
+    await whatsappService.forUser(user).sendPaymentReminder(
       invoice.customer.phone,
       invoice,
       daysOverdue
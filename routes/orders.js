@@ -1,11 +1,10 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const Order = require('../models/Order');
-const Customer = require('../models/Customer');
-const Product = require('../models/Product');
 const Invoice = require('../models/Invoice');
-const whatsappService = require('../services/whatsappService');
 const invoiceService = require('../services/invoiceService');
+const orderEventService = require('../services/orderEventService');
+const orderService = require('../services/orderService');
 const logger = require('../config/logger');
 
 const router = express.Router();
@@ -95,88 +94,16 @@ router.get('/:id', auth, async (req, res) => {
 // Create new order
 router.post('/', auth, async (req, res) => {
   try {
-    const orderData = {
+    const order = await orderService.createOrder(req.userId, {
       ...req.body,
-      user: req.userId,
       source: req.body.source || 'manual'
-    };
-
-    // Validate customer
-    const customer = await Customer.findOne({
-      _id: orderData.customer,
-      user: req.userId
     });
 
-    if (!customer) {
-      return res.status(400).json({ error: 'Customer not found' });
-    }
-
-    // Calculate totals and validate products
-    let subtotal = 0;
-    const processedItems = [];
-
-    for (const item of orderData.items) {
-      const product = await Product.findById(item.product);
-      
-      if (!product) {
-        return res.status(400).json({ error: `Product not found: ${item.product}` });
-      }
-
-      const unitPrice = item.unitPrice || product.pricing.sellingPrice;
-      const discount = item.discount || 0;
-      const taxRate = item.tax?.rate || product.tax.rate;
-      const taxableAmount = (unitPrice * item.quantity) - discount;
-      const taxAmount = taxableAmount * (taxRate / 100);
-      const itemTotal = taxableAmount + taxAmount;
-
-      subtotal += itemTotal;
-
-      processedItems.push({
-        product: product._id,
-        productName: product.name,
-        sku: product.sku,
-        quantity: item.quantity,
-        unitPrice,
-        discount,
-        tax: { rate: taxRate, amount: taxAmount },
-        total: itemTotal,
-        notes: item.notes
-      });
-
-      // Update inventory if tracking
-      if (product.inventory.trackInventory) {
-        product.inventory.quantity -= item.quantity;
-        await product.save();
-      }
-    }
-
-    const order = new Order({
-      ...orderData,
-      items: processedItems,
-      pricing: {
-        subtotal,
-        totalDiscount: orderData.items.reduce((sum, item) => sum + (item.discount || 0), 0),
-        totalTax: processedItems.reduce((sum, item) => sum + item.tax.amount, 0),
-        shipping: orderData.pricing?.shipping || 0,
-        packaging: orderData.pricing?.packaging || 0,
-        total: subtotal + (orderData.pricing?.shipping || 0) + (orderData.pricing?.packaging || 0),
-        amountPaid: orderData.pricing?.amountPaid || 0,
-        amountDue: subtotal + (orderData.pricing?.shipping || 0) - (orderData.pricing?.amountPaid || 0)
-      }
-    });
-
-    await order.save();
-
-    // Update customer stats
-    customer.totalOrders += 1;
-    customer.totalSpent += order.pricing.total;
-    customer.lastOrderDate = new Date();
-    await customer.save();
-
-    logger.info(`New order created: ${order.orderNumber}`);
-
     res.status(201).json({ order, message: 'Order created successfully' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Create order error:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -194,19 +121,21 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Update order fields
-    Object.assign(order, req.body);
-    await order.save();
+    const previousStatus = order.status;
+
+    // Update order fields; status changes go through the same path as PATCH /:id/status
+    const { status, inventoryReserved, ...updates } = req.body;
+    Object.assign(order, updates);
+    if (status !== undefined && status !== previousStatus) {
+      await orderService.changeStatus(order, status);
+    } else {
+      await order.save();
+    }
 
     // If status changed, send notification
-    if (req.body.status && req.body.status !== order.status) {
+    if (order.status !== previousStatus) {
       try {
-        await order.populate('customer');
-        await whatsappService.sendOrderStatusUpdate(
-          order.customer.phone,
-          order,
-          req.body.status
-        );
+        await orderEventService.statusChanged(order, previousStatus);
       } catch (error) {
         logger.error('Failed to send order status update:', error);
       }
@@ -214,6 +143,9 @@ router.put('/:id', auth, async (req, res) => {
 
     res.json({ order, message: 'Order updated successfully' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Update order error:', error);
     res.status(500).json({ error: 'Failed to update order' });
   }
@@ -233,44 +165,11 @@ router.patch('/:id/status', auth, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    const previousStatus = order.status;
-    order.status = status;
-
-    if (notes) {
-      order.notes.internal = notes;
-    }
-
-    if (tracking) {
-      order.tracking = {
-        ...order.tracking,
-        ...tracking
-      };
-    }
-
-    // Add to tracking history
-    if (status !== previousStatus) {
-      order.tracking.history = order.tracking.history || [];
-      order.tracking.history.push({
-        status,
-        location: tracking?.location || '',
-        timestamp: new Date(),
-        notes: notes || ''
-      });
-    }
-
-    if (status === 'delivered') {
-      order.tracking.actualDelivery = new Date();
-    }
-
-    await order.save();
+    const previousStatus = await orderService.changeStatus(order, status, { notes, tracking });
 
     // Send WhatsApp notification
     try {
-      await whatsappService.sendOrderStatusUpdate(
-        order.customer.phone,
-        order,
-        status
-      );
+      await orderEventService.statusChanged(order, previousStatus);
     } catch (error) {
       logger.error('Failed to send order status notification:', error);
     }
@@ -279,6 +178,9 @@ router.patch('/:id/status', auth, async (req, res) => {
 
     res.json({ order, message: 'Order status updated' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Update order status error:', error);
     res.status(500).json({ error: 'Failed to update status' });
   }
@@ -328,14 +230,9 @@ router.post('/:id/cancel', auth, async (req, res) => {
     }
 
     // Restore inventory
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product && product.inventory.trackInventory) {
-        product.inventory.quantity += item.quantity;
-        await product.save();
-      }
-    }
+    await orderService.releaseInventory(order);
 
+    const previousStatus = order.status;
     order.status = 'cancelled';
     order.cancellationReason = reason;
     order.cancelledAt = new Date();
@@ -343,11 +240,7 @@ router.post('/:id/cancel', auth, async (req, res) => {
 
     // Send cancellation notification
     try {
-      await whatsappService.sendOrderStatusUpdate(
-        order.customer.phone,
-        order,
-        'cancelled'
-      );
+      await orderEventService.statusChanged(order, previousStatus);
     } catch (error) {
       logger.error('Failed to send cancellation notification:', error);
     }
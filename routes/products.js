@@ -1,6 +1,9 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const Product = require('../models/Product');
+const User = require('../models/User');
+const catalogService = require('../services/catalogService');
+const { WhatsAppApiError } = require('../utils/whatsappErrors');
 const logger = require('../config/logger');
 
 const router = express.Router();
@@ -223,6 +226,25 @@ router.get('/categories/list', auth, async (req, res) => {
   }
 });
 
+// Publish active products to the WhatsApp catalog (and remove deleted ones)
+router.post('/catalog/sync', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    const summary = await catalogService.syncProducts(user);
+
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({ error: 'Failed to sync catalog', reason: error.message, code: error.code });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Catalog sync error:', error);
+    res.status(500).json({ error: 'Failed to sync catalog' });
+  }
+});
+
 // Bulk import products
 router.post('/import', auth, async (req, res) => {
   try {
@@ -5,7 +5,12 @@ const Conversation = require('../models/Conversation');
 const Customer = require('../models/Customer');
 const User = require('../models/User');
 const whatsappService = require('../services/whatsappService');
-const aiAutomationService = require('../services/aiAutomationService');
+const InboundJob = require('../models/InboundJob');
+const MessageTemplate = require('../models/MessageTemplate');
+const inboundQueueService = require('../services/inboundQueueService');
+const messageTemplateService = require('../services/messageTemplateService');
+const mediaService = require('../services/mediaService');
+const { WhatsAppApiError, ServiceWindowClosedError, TemplateValidationError } = require('../utils/whatsappErrors');
 const logger = require('../config/logger');
 
 const router = express.Router();
@@ -26,26 +31,39 @@ const auth = (req, res, next) => {
   }
 };
 
-// Webhook for WhatsApp messages (no auth needed)
-router.post('/webhook', async (req, res) => {
-  try {
-    // Verify webhook
-    const mode = req.query['hub.mode'];
-    const token = req.query['hub.verify_token'];
-    const challenge = req.query['hub.challenge'];
+// Webhook signature middleware
+const verifySignature = (req, res, next) => {
+  if (!whatsappService.verifySignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+    logger.warn(`Rejected WhatsApp webhook with missing or invalid signature from ${req.ip}`);
+    return res.status(401).send('Invalid signature');
+  }
+  next();
+};
 
-    if (mode === 'subscribe' && token === process.env.WEBHOOK_VERIFY_TOKEN) {
-      logger.info('WhatsApp webhook verified');
-      return res.status(200).send(challenge);
-    }
+// Webhook verification handshake (no auth needed)
+router.get('/webhook', (req, res) => {
+  const challenge = whatsappService.verifyWebhook(
+    req.query['hub.mode'],
+    req.query['hub.verify_token'],
+    req.query['hub.challenge']
+  );
+
+  if (!challenge) {
+    logger.warn('WhatsApp webhook verification failed');
+    return res.status(403).send('Verification failed');
+  }
 
-    // Handle incoming messages
-    const messageData = await whatsappService.handleIncomingMessage(req.body);
-    
-    if (messageData) {
-      // Process message asynchronously
-      processIncomingMessageAsync(messageData);
-    }
+  logger.info('WhatsApp webhook verified');
+  res.status(200).send(challenge);
+});
+
+// Webhook for WhatsApp messages, signed by Meta
+router.post('/webhook', verifySignature, async (req, res) => {
+  try {
+    // Queue messages and delivery statuses before acknowledging; a failure here returns 500
+    // so Meta redelivers the webhook
+    const { messages, statusUpdates } = whatsappService.parseWebhook(req.body);
+    await inboundQueueService.enqueue(messages, statusUpdates);
 
     res.status(200).send('OK');
   } catch (error) {
@@ -54,139 +72,62 @@ router.post('/webhook', async (req, res) => {
   }
 });
 
-// Process incoming message
-async function processIncomingMessageAsync(messageData) {
+// List queued inbound webhook jobs, e.g. ?status=failed
+router.get('/inbound-jobs', auth, async (req, res) => {
   try {
-    // Find or create user
-    const user = await User.findOne({ whatsappConnected: true });
-    if (!user) {
-      logger.error('No connected WhatsApp user found');
-      return;
-    }
-
-    // Find or create customer
-    let customer = await Customer.findOne({
-      user: user._id,
-      phone: messageData.phone
-    });
+    const { page = 1, limit = 20, status, type } = req.query;
 
-    if (!customer) {
-      // Create new customer from WhatsApp
-      customer = new Customer({
-        user: user._id,
-        name: messageData.contactName || `Customer ${messageData.phone.slice(-4)}`,
-        phone: messageData.phone,
-        preferredChannel: 'whatsapp',
-        source: 'whatsapp'
-      });
-      await customer.save();
-      logger.info(`New customer created from WhatsApp: ${customer.phone}`);
-    }
+    const query = { user: req.userId };
+    if (status) query.status = status;
+    if (type) query.type = type;
 
-    // Find or create conversation
-    let conversation = await Conversation.findOne({
-      user: user._id,
-      customer: customer._id,
-      status: { $ne: 'closed' }
-    });
+    const jobs = await InboundJob.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
 
-    if (!conversation) {
-      conversation = new Conversation({
-        user: user._id,
-        customer: customer._id,
-        channel: 'whatsapp',
-        status: 'open'
-      });
-      await conversation.save();
-    }
+    const total = await InboundJob.countDocuments(query);
 
-    // Create message
-    const message = new Message({
-      user: user._id,
-      customer: customer._id,
-      conversation: conversation._id,
-      direction: 'incoming',
-      type: messageData.type,
-      content: messageData.content,
-      whatsapp: {
-        messageId: messageData.whatsapp.messageId,
-        messageTimestamp: messageData.whatsapp.messageTimestamp,
-        status: 'received'
+    res.json({
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
-    await message.save();
-
-    // Update conversation
-    conversation.lastMessage = {
-      content: messageData.content?.text || `[${messageData.type}]`,
-      type: messageData.type,
-      direction: 'incoming',
-      timestamp: new Date(),
-      sender: 'customer'
-    };
-    conversation.statistics.totalMessages += 1;
-    conversation.statistics.incomingMessages += 1;
-    await conversation.save();
-
-    // Process with AI automation
-    const aiResult = await aiAutomationService.processIncomingMessage(
-      message,
-      customer,
-      conversation,
-      user
-    );
-
-    // Save AI processing results
-    message.processing = {
-      intent: aiResult.intent,
-      sentiment: aiResult.sentiment
-    };
-    await message.save();
-
-    // Send automated response if applicable
-    if (aiResult.automated && aiResult.suggestedResponse) {
-      await sendAutomatedResponseAsync(user, customer, conversation, aiResult.suggestedResponse);
-    }
-
-    // Emit socket event for real-time updates (if socket.io is available)
-    // io.to(user._id.toString()).emit('new_message', { message, customer, conversation });
-
   } catch (error) {
-    logger.error('Error processing incoming message:', error);
+    logger.error('Get inbound jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch inbound jobs' });
   }
-}
+});
 
-// Send automated response
-async function sendAutomatedResponseAsync(user, customer, conversation, responseText) {
+// Retry a failed inbound webhook job
+router.post('/inbound-jobs/:id/retry', auth, async (req, res) => {
   try {
-    const result = await whatsappService.sendTextMessage(customer.phone, responseText);
-
-    const message = new Message({
-      user: user._id,
-      customer: customer._id,
-      conversation: conversation._id,
-      direction: 'outgoing',
-      type: 'text',
-      content: { text: responseText },
-      whatsapp: {
-        messageId: result.messages[0].id,
-        status: 'sent'
-      },
-      automation: {
-        isAutomated: true
-      }
+    const job = await InboundJob.findOne({
+      _id: req.params.id,
+      user: req.userId
     });
-    await message.save();
 
-    conversation.statistics.automatedMessages += 1;
-    conversation.statistics.outgoingMessages += 1;
-    await conversation.save();
+    if (!job) {
+      return res.status(404).json({ error: 'Inbound job not found' });
+    }
 
-    logger.info(`Automated response sent to ${customer.phone}`);
+    if (job.status !== 'failed') {
+      return res.status(400).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+    }
+
+    await inboundQueueService.retry(job);
+
+    res.json({ job, message: 'Inbound job queued for retry' });
   } catch (error) {
-    logger.error('Failed to send automated response:', error);
+    logger.error('Retry inbound job error:', error);
+    res.status(500).json({ error: 'Failed to retry inbound job' });
   }
-}
+});
 
 // Get all conversations
 router.get('/conversations', auth, async (req, res) => {
@@ -204,13 +145,20 @@ router.get('/conversations', auth, async (req, res) => {
     }
 
     const conversations = await Conversation.find(query)
-      .populate('customer', 'name phone customerType')
+      .populate('customer', 'name phone customerType lastIncomingMessageAt')
       .populate('assignedTo', 'name')
       .sort(sort)
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
       .lean();
 
+    // Time left to reply with free-form messages
+    conversations.forEach(conversation => {
+      const lastIncomingAt = conversation.customer?.lastIncomingMessageAt ||
+        (conversation.lastMessage?.direction === 'incoming' ? conversation.lastMessage.timestamp : null);
+      conversation.serviceWindow = whatsappService.describeServiceWindow(lastIncomingAt);
+    });
+
     const total = await Conversation.countDocuments(query);
 
     res.json({
@@ -256,57 +204,63 @@ router.get('/conversations/:id/messages', auth, async (req, res) => {
 
 // Send message to customer
 router.post('/send', auth, async (req, res) => {
+  let messageDoc;
   try {
-    const { phone, message, type = 'text', customerId, conversationId } = req.body;
-
-    const result = await whatsappService.sendTextMessage(phone, message);
+    const { phone, message, type = 'text', customerId, conversationId, fallbackTemplate } = req.body;
 
-    // Get or create customer
+    // Get or create customer and conversation
     let customer;
     if (customerId) {
-      customer = await Customer.findById(customerId);
+      customer = await Customer.findOne({ _id: customerId, user: req.userId });
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
     } else {
       customer = await Customer.findOne({ user: req.userId, phone });
     }
 
-    let conversation;
-    if (conversationId) {
-      conversation = await Conversation.findById(conversationId);
-    } else if (customer) {
-      conversation = await Conversation.findOne({
+    if (!customer) {
+      customer = new Customer({
         user: req.userId,
-        customer: customer._id,
-        status: { $ne: 'closed' }
+        name: `Customer ${phone.slice(-4)}`,
+        phone,
+        preferredChannel: 'whatsapp'
       });
+      await customer.save();
+      logger.info(`New customer created for outgoing message: ${customer.phone}`);
+    }
+
+    let conversation;
+    if (conversationId) {
+      conversation = await Conversation.findOne({ _id: conversationId, user: req.userId });
+    }
+    if (!conversation) {
+      conversation = await Conversation.findOrCreateOpen(req.userId, customer._id);
     }
 
-    // Create outgoing message
-    const messageDoc = new Message({
+    // Outgoing message; the send queue saves it with every attempt and the outcome
+    messageDoc = new Message({
       user: req.userId,
-      customer: customer?._id,
-      conversation: conversation?._id,
+      customer: customer._id,
+      conversation: conversation._id,
       direction: 'outgoing',
       type,
-      content: { text: message },
-      whatsapp: {
-        messageId: result.messages[0].id,
-        status: 'sent'
-      }
+      content: { text: message }
     });
-    await messageDoc.save();
+
+    const user = await User.findById(req.userId);
+    const result = await whatsappService.forUser(user).sendSessionMessage(phone, message, { messageDoc, fallbackTemplate });
 
     // Update conversation
-    if (conversation) {
-      conversation.lastMessage = {
-        content: message,
-        type: 'text',
-        direction: 'outgoing',
-        timestamp: new Date(),
-        sender: 'agent'
-      };
-      conversation.statistics.outgoingMessages += 1;
-      await conversation.save();
-    }
+    conversation.lastMessage = {
+      content: message,
+      type: 'text',
+      direction: 'outgoing',
+      timestamp: new Date(),
+      sender: 'agent'
+    };
+    conversation.statistics.outgoingMessages += 1;
+    await conversation.save();
 
     res.json({ 
       success: true, 
@@ -314,6 +268,25 @@ router.post('/send', auth, async (req, res) => {
       message: messageDoc 
     });
   } catch (error) {
+    if (error instanceof ServiceWindowClosedError) {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code,
+        lastIncomingAt: error.lastIncomingAt
+      });
+    }
+    if (error instanceof TemplateValidationError) {
+      return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({
+        error: 'Failed to send message',
+        reason: error.message,
+        code: error.code,
+        retryable: error.retryable,
+        message: messageDoc
+      });
+    }
     logger.error('Send message error:', error);
     res.status(500).json({ error: 'Failed to send message' });
   }
@@ -324,7 +297,8 @@ router.post('/send-template', auth, async (req, res) => {
   try {
     const { phone, templateName, language = 'en', components, customerId } = req.body;
 
-    const result = await whatsappService.sendTemplateMessage(
+    const user = await User.findById(req.userId);
+    const result = await whatsappService.forUser(user).sendTemplateMessage(
       phone,
       templateName,
       language,
@@ -341,11 +315,181 @@ router.post('/send-template', auth, async (req, res) => {
       messageId: result.messages[0].id 
     });
   } catch (error) {
+    if (error instanceof TemplateValidationError) {
+      return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({
+        error: 'Failed to send template message',
+        reason: error.message,
+        code: error.code,
+        retryable: error.retryable
+      });
+    }
     logger.error('Send template message error:', error);
     res.status(500).json({ error: 'Failed to send template message' });
   }
 });
 
+// Send reply buttons or a list; reply IDs like CONFIRM_ORDER:<orderId> are routed on arrival
+router.post('/send-interactive', auth, async (req, res) => {
+  let messageDoc;
+  try {
+    const { phone, type = 'button', text, buttons, buttonText, sections, header, footer } = req.body;
+
+    if (!phone || !text) {
+      return res.status(400).json({ error: 'phone and text are required' });
+    }
+    if (type === 'button' && !buttons?.length) {
+      return res.status(400).json({ error: 'buttons are required for button messages' });
+    }
+    if (type === 'list' && (!buttonText || !sections?.length)) {
+      return res.status(400).json({ error: 'buttonText and sections are required for list messages' });
+    }
+
+    const customer = await Customer.findOne({ user: req.userId, phone });
+    const conversation = customer && await Conversation.findOrCreateOpen(req.userId, customer._id);
+
+    messageDoc = conversation && new Message({
+      user: req.userId,
+      customer: customer._id,
+      conversation: conversation._id,
+      direction: 'outgoing',
+      type: 'interactive',
+      content: { text }
+    });
+
+    const user = await User.findById(req.userId);
+    const client = whatsappService.forUser(user);
+    const options = { header, footer, messageDoc };
+    const result = type === 'list'
+      ? await client.sendListMessage(phone, text, buttonText, sections, options)
+      : await client.sendButtonMessage(phone, text, buttons, options);
+
+    if (conversation) {
+      conversation.lastMessage = {
+        content: text,
+        type: 'interactive',
+        direction: 'outgoing',
+        timestamp: new Date(),
+        sender: 'agent'
+      };
+      conversation.statistics.outgoingMessages += 1;
+      await conversation.save();
+    }
+
+    res.json({
+      success: true,
+      messageId: result.messages[0].id,
+      message: messageDoc
+    });
+  } catch (error) {
+    if (error instanceof ServiceWindowClosedError) {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code,
+        lastIncomingAt: error.lastIncomingAt
+      });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({
+        error: 'Failed to send interactive message',
+        reason: error.message,
+        code: error.code,
+        retryable: error.retryable,
+        message: messageDoc
+      });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Send interactive message error:', error);
+    res.status(500).json({ error: 'Failed to send interactive message' });
+  }
+});
+
+// Send catalog products by SKU: one SKU sends a product card, several send a product list
+router.post('/send-products', auth, async (req, res) => {
+  try {
+    const { phone, skus, text, header, footer, sectionTitle = 'Products' } = req.body;
+
+    if (!phone || !text || !skus?.length) {
+      return res.status(400).json({ error: 'phone, text and skus are required' });
+    }
+    if (skus.length > 1 && !header) {
+      return res.status(400).json({ error: 'header is required when sending several products' });
+    }
+
+    const user = await User.findById(req.userId);
+    const client = whatsappService.forUser(user);
+    const result = skus.length === 1
+      ? await client.sendProductMessage(phone, skus[0], text, { footer })
+      : await client.sendProductListMessage(phone, header, text, [{ title: sectionTitle, productRetailerIds: skus }], { footer });
+
+    res.json({
+      success: true,
+      messageId: result.messages[0].id
+    });
+  } catch (error) {
+    if (error instanceof ServiceWindowClosedError) {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code,
+        lastIncomingAt: error.lastIncomingAt
+      });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({
+        error: 'Failed to send products',
+        reason: error.message,
+        code: error.code,
+        retryable: error.retryable
+      });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Send products error:', error);
+    res.status(500).json({ error: 'Failed to send products' });
+  }
+});
+
+// Serve a message's stored media to the inbox
+router.get('/media/:id', auth, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const user = await User.findById(req.userId);
+    const media = await mediaService.getMedia(user, message);
+
+    res.setHeader('Content-Type', media.mimeType);
+    if (media.fileSize) res.setHeader('Content-Length', media.fileSize);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    if (media.fileName) {
+      res.setHeader('Content-Disposition', `inline; filename="${media.fileName.replace(/["\r\n]/g, '')}"`);
+    }
+
+    media.stream.on('error', (error) => {
+      logger.error('Media stream error:', error);
+      res.destroy(error);
+    });
+    media.stream.pipe(res);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Get media error:', error);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
 // Update conversation status
 router.patch('/conversations/:id', auth, async (req, res) => {
   try {
@@ -368,36 +512,18 @@ router.patch('/conversations/:id', auth, async (req, res) => {
   }
 });
 
-// Get message templates
+// Get message templates, e.g. ?status=approved
 router.get('/templates', auth, async (req, res) => {
   try {
-    // Return predefined templates
-    const templates = [
-      {
-        name: 'order_confirmation',
-        category: 'ORDER',
-        languages: ['en', 'hi'],
-        description: 'Confirm order placement'
-      },
-      {
-        name: 'order_shipped',
-        category: 'SHIPPING',
-        languages: ['en', 'hi'],
-        description: 'Notify order has been shipped'
-      },
-      {
-        name: 'payment_received',
-        category: 'PAYMENT',
-        languages: ['en', 'hi'],
-        description: 'Confirm payment received'
-      },
-      {
-        name: 'invoice_reminder',
-        category: 'PAYMENT',
-        languages: ['en', 'hi'],
-        description: 'Send payment reminder'
-      }
-    ];
+    const { status, category, language, search } = req.query;
+
+    const query = { user: req.userId };
+    if (status) query.status = status;
+    if (category) query.category = category.toUpperCase();
+    if (language) query.language = language;
+    if (search) query.name = { $regex: search, $options: 'i' };
+
+    const templates = await MessageTemplate.find(query).sort('name language');
 
     res.json({ templates });
   } catch (error) {
@@ -406,19 +532,187 @@ router.get('/templates', auth, async (req, res) => {
   }
 });
 
+// Pull template approval statuses from the WhatsApp Business Account
+router.post('/templates/sync', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    const summary = await messageTemplateService.sync(user);
+
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({ error: 'Failed to sync templates', reason: error.message, code: error.code });
+    }
+    logger.error('Sync templates error:', error);
+    res.status(500).json({ error: 'Failed to sync templates' });
+  }
+});
+
+// Get template by ID
+router.get('/templates/:id', auth, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template, parameters: template.getParameterSlots() });
+  } catch (error) {
+    logger.error('Get template error:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// Create a draft template; pass submit: true to send it for review straight away
+router.post('/templates', auth, async (req, res) => {
+  try {
+    const { submit, ...definition } = req.body;
+
+    let template = await messageTemplateService.create(req.userId, definition);
+    if (submit) {
+      const user = await User.findById(req.userId);
+      template = await messageTemplateService.submit(user, template);
+    }
+
+    logger.info(`Template created: ${template.name} (${template.language})`);
+    res.status(201).json({ template });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({ error: 'Template saved but submission failed', reason: error.message, code: error.code });
+    }
+    logger.error('Create template error:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// Update a template that has not been approved yet
+router.put('/templates/:id', auth, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!['draft', 'rejected'].includes(template.status)) {
+      return res.status(400).json({ error: `Only draft or rejected templates can be edited (template is ${template.status})` });
+    }
+
+    const { category, description, components, placeholders } = req.body;
+    const definition = {
+      name: template.name,
+      language: template.language,
+      category: category || template.category,
+      components: components || template.components.toObject(),
+      placeholders: placeholders || template.placeholders.toObject()
+    };
+
+    const errors = messageTemplateService.validateDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+
+    Object.assign(template, definition);
+    if (description !== undefined) template.description = description;
+    await template.save();
+
+    res.json({ template });
+  } catch (error) {
+    logger.error('Update template error:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Submit a draft or rejected template for review
+router.post('/templates/:id/submit', auth, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const user = await User.findById(req.userId);
+    await messageTemplateService.submit(user, template);
+
+    res.json({ template });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({ error: 'Failed to submit template', reason: error.message, code: error.code });
+    }
+    logger.error('Submit template error:', error);
+    res.status(500).json({ error: 'Failed to submit template' });
+  }
+});
+
+// Delete template (also from the WhatsApp Business Account once submitted)
+router.delete('/templates/:id', auth, async (req, res) => {
+  try {
+    const template = await MessageTemplate.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const user = await User.findById(req.userId);
+    await messageTemplateService.remove(user, template);
+
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof WhatsAppApiError) {
+      return res.status(502).json({ error: 'Failed to delete template', reason: error.message, code: error.code });
+    }
+    logger.error('Delete template error:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
 // Update WhatsApp token
 router.put('/token', auth, async (req, res) => {
   try {
-    const { phoneNumberId, accessToken } = req.body;
+    const { phoneNumberId, accessToken, businessAccountId, catalogId } = req.body;
 
     if (!phoneNumberId || !accessToken) {
       return res.status(400).json({ error: 'Phone Number ID and Access Token are required' });
     }
 
+    // Webhooks are routed by phone number ID, so it can only belong to one business
+    const owner = await User.findOne({ whatsappPhoneId: phoneNumberId, _id: { $ne: req.userId } });
+    if (owner) {
+      return res.status(409).json({ error: 'This phone number is already connected to another account' });
+    }
+
     // Update the user's WhatsApp credentials
     await User.findByIdAndUpdate(req.userId, {
       whatsappPhoneId: phoneNumberId,
       whatsappAccessToken: accessToken,
+      ...(businessAccountId && { whatsappBusinessAccountId: businessAccountId }),
+      ...(catalogId && { whatsappCatalogId: catalogId }),
       whatsappConnected: true,
       updatedAt: new Date()
     });
@@ -426,6 +720,10 @@ router.put('/token', auth, async (req, res) => {
     logger.info(`WhatsApp token updated for user: ${req.userId}`);
     res.json({ success: true, message: 'Token updated successfully' });
   } catch (error) {
+    // Another account connected the number between the check above and the update
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This phone number is already connected to another account' });
+    }
     logger.error('Update token error:', error);
     res.status(500).json({ error: 'Failed to update token' });
   }
@@ -434,16 +732,24 @@ router.put('/token', auth, async (req, res) => {
 // Also support POST for token update (fallback)
 router.post('/token', auth, async (req, res) => {
   try {
-    const { phoneNumberId, accessToken } = req.body;
+    const { phoneNumberId, accessToken, businessAccountId, catalogId } = req.body;
 
     if (!phoneNumberId || !accessToken) {
       return res.status(400).json({ error: 'Phone Number ID and Access Token are required' });
     }
 
+    // Webhooks are routed by phone number ID, so it can only belong to one business
+    const owner = await User.findOne({ whatsappPhoneId: phoneNumberId, _id: { $ne: req.userId } });
+    if (owner) {
+      return res.status(409).json({ error: 'This phone number is already connected to another account' });
+    }
+
     // Update the user's WhatsApp credentials
     await User.findByIdAndUpdate(req.userId, {
       whatsappPhoneId: phoneNumberId,
       whatsappAccessToken: accessToken,
+      ...(businessAccountId && { whatsappBusinessAccountId: businessAccountId }),
+      ...(catalogId && { whatsappCatalogId: catalogId }),
       whatsappConnected: true,
       updatedAt: new Date()
     });
@@ -451,6 +757,10 @@ router.post('/token', auth, async (req, res) => {
     logger.info(`WhatsApp token updated for user: ${req.userId}`);
     res.json({ success: true, message: 'Token updated successfully' });
   } catch (error) {
+    // Another account connected the number between the check above and the update
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This phone number is already connected to another account' });
+    }
     logger.error('Update token error:', error);
     res.status(500).json({ error: 'Failed to update token' });
   }
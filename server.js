@@ -18,7 +18,11 @@ const productRoutes = require('./routes/products');
 const automationRoutes = require('./routes/automation');
 
 // Import services
-const { processScheduledMessages } = require('./services/schedulerService');
+const schedulerService = require('./services/schedulerService');
+const ruleSchedulerService = require('./services/ruleSchedulerService');
+const ruleExecutionService = require('./services/ruleExecutionService');
+const inboundQueueService = require('./services/inboundQueueService');
+const actionJobService = require('./services/actionJobService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -37,8 +41,13 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing; the raw body is kept for webhook signature verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB connection
@@ -47,6 +56,17 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsa
 mongoose.connect(MONGODB_URI)
   .then(() => {
     logger.info('Connected to MongoDB successfully');
+
+    // Restore cron jobs for scheduled automation rules
+    ruleSchedulerService.init().catch((error) => {
+      logger.error('Failed to register scheduled automation rules:', error);
+    });
+
+    // Work off webhook payloads queued while the server was down
+    inboundQueueService.start();
+
+    // Run delayed automation actions and webhook retries as they fall due
+    actionJobService.start();
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error);
@@ -97,7 +117,14 @@ app.use((req, res) => {
 // Schedule daily tasks
 cron.schedule('0 9 * * *', () => {
   logger.info('Running daily scheduled tasks');
-  processScheduledMessages();
+  schedulerService.processScheduledMessages();
+});
+
+// Purge automation rule executions past their retention period
+cron.schedule('30 2 * * *', () => {
+  ruleExecutionService.purgeExpired().catch((error) => {
+    logger.error('Failed to purge rule executions:', error);
+  });
 });
 
 // Start server
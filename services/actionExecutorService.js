@@ -0,0 +1,528 @@
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const Task = require('../models/Task');
+const ActionJob = require('../models/ActionJob');
+const whatsappService = require('./whatsappService');
+const invoiceService = require('./invoiceService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const logger = require('../config/logger');
+
+// Customer fields an update_customer action is allowed to change
+const UPDATABLE_CUSTOMER_FIELDS = [
+  'name', 'email', 'customerType', 'notes', 'preferredChannel', 'defaultPaymentTerms',
+  'creditLimit', 'communicationPreferences', 'customFields', 'isActive'
+];
+
+class ActionExecutorService {
+  constructor() {
+    this.executors = new Map();
+    this.registerDefaultActions();
+  }
+
+  // `authorize(params, userId)` checks params against the rule owner's data, e.g. that an
+  // id belongs to their account; it resolves to an error message or null
+  register(type, { schema = {}, validate, authorize, execute }) {
+    this.executors.set(type, { schema, validate, authorize, execute });
+  }
+
+  registerDefaultActions() {
+    this.register('send_message', {
+      schema: {
+        message: { type: 'string', required: true },
+        previewUrl: { type: 'boolean' },
+        // { name, language, components }, sent instead when the service window is closed
+        fallbackTemplate: { type: 'object' }
+      },
+      execute: async (params, context, rule) => {
+        const text = this.renderText(params.message, context);
+        await this.openConversation(context);
+        const messageDoc = this.buildOutgoingMessage(rule, context, { type: 'text', content: { text } });
+        const result = await whatsappService.forUser(context.user).sendTextMessage(context.customer.phone, text, {
+          previewUrl: params.previewUrl,
+          fallbackTemplate: params.fallbackTemplate && this.renderParams(params.fallbackTemplate, context),
+          messageDoc
+        });
+        await this.recordOutgoingMessage(context, messageDoc);
+        return { messageId: result.messages?.[0]?.id };
+      }
+    });
+
+    this.register('send_template', {
+      schema: {
+        templateName: { type: 'string', required: true },
+        language: { type: 'string' },
+        components: { type: 'array' }
+      },
+      execute: async (params, context, rule) => {
+        const language = params.language || 'en';
+        await this.openConversation(context);
+        const messageDoc = this.buildOutgoingMessage(rule, context, {
+          type: 'template',
+          template: { name: params.templateName, language, components: params.components }
+        });
+        const result = await whatsappService.forUser(context.user).sendTemplateMessage(
+          context.customer.phone,
+          params.templateName,
+          language,
+          params.components || [],
+          { messageDoc }
+        );
+        await this.recordOutgoingMessage(context, messageDoc);
+        return { messageId: result.messages?.[0]?.id };
+      }
+    });
+
+    this.register('update_order', {
+      schema: {
+        orderId: { type: 'string' },
+        status: { type: 'string', enum: Order.schema.path('status').enumValues },
+        paymentStatus: { type: 'string', enum: Order.schema.path('paymentStatus').enumValues },
+        priority: { type: 'string', enum: Order.schema.path('priority').enumValues },
+        tags: { type: 'array' },
+        notes: { type: 'string' }
+      },
+      validate: params => (
+        ['status', 'paymentStatus', 'priority', 'tags', 'notes'].some(key => params[key] !== undefined)
+          ? null
+          : 'at least one of status, paymentStatus, priority, tags or notes is required'
+      ),
+      execute: async (params, context) => {
+        const order = context.order || (params.orderId && await Order.findOne({
+          _id: params.orderId,
+          user: context.user._id
+        }));
+        if (!order) {
+          throw new Error('No order available to update');
+        }
+
+        const previousStatus = order.status;
+        if (params.status) order.status = params.status;
+        if (params.paymentStatus) order.paymentStatus = params.paymentStatus;
+        if (params.priority) order.priority = params.priority;
+        if (params.tags) order.tags = [...new Set([...(order.tags || []), ...params.tags])];
+        if (params.notes) order.notes.internal = this.renderText(params.notes, context);
+        await order.save();
+
+        if (order.status !== previousStatus) {
+          // Required lazily: order events run rules, which run these actions
+          const orderEventService = require('./orderEventService');
+          await orderEventService.statusChanged(order, previousStatus, { fromRule: true });
+        }
+
+        return { orderId: order._id, status: order.status };
+      }
+    });
+
+    const tagSchema = {
+      tag: { type: 'string' },
+      tags: { type: 'array' }
+    };
+    const requireTag = params => (params.tag || params.tags?.length ? null : 'tag or tags is required');
+
+    this.register('add_tag', {
+      schema: tagSchema,
+      validate: requireTag,
+      execute: async (params, context) => {
+        const { customer } = context;
+        customer.tags = [...new Set([...(customer.tags || []), ...[].concat(params.tags || params.tag)])];
+        await customer.save();
+        return { tags: customer.tags };
+      }
+    });
+
+    this.register('remove_tag', {
+      schema: tagSchema,
+      validate: requireTag,
+      execute: async (params, context) => {
+        const { customer } = context;
+        const tags = [].concat(params.tags || params.tag);
+        customer.tags = (customer.tags || []).filter(tag => !tags.includes(tag));
+        await customer.save();
+        return { tags: customer.tags };
+      }
+    });
+
+    const authorizeTeamMember = key => async (params, userId) => (
+      params[key] && !await User.isTeamMember(userId, params[key])
+        ? `${key} is not a member of this account`
+        : null
+    );
+
+    this.register('assign_agent', {
+      schema: {
+        agentId: { type: 'string', required: true }
+      },
+      authorize: authorizeTeamMember('agentId'),
+      execute: async (params, context) => {
+        if (!context.conversation) {
+          throw new Error('No conversation available to assign');
+        }
+        if (!await User.isTeamMember(context.user._id, params.agentId)) {
+          throw new Error('agentId is not a member of this account');
+        }
+        context.conversation.assignee = params.agentId;
+        await context.conversation.save();
+        return { assignee: params.agentId };
+      }
+    });
+
+    this.register('create_task', {
+      schema: {
+        title: { type: 'string', required: true },
+        description: { type: 'string' },
+        priority: { type: 'string', enum: Task.schema.path('priority').enumValues },
+        dueInHours: { type: 'number' },
+        assignee: { type: 'string' }
+      },
+      authorize: authorizeTeamMember('assignee'),
+      execute: async (params, context, rule) => {
+        if (params.assignee && !await User.isTeamMember(context.user._id, params.assignee)) {
+          throw new Error('assignee is not a member of this account');
+        }
+        const task = new Task({
+          user: context.user._id,
+          title: this.renderText(params.title, context),
+          description: params.description && this.renderText(params.description, context),
+          priority: params.priority,
+          dueAt: params.dueInHours ? new Date(Date.now() + params.dueInHours * 60 * 60 * 1000) : undefined,
+          assignee: params.assignee || context.conversation?.assignee,
+          customer: context.customer?._id,
+          conversation: context.conversation?._id,
+          order: context.order?._id,
+          source: 'automation',
+          automationRule: rule._id
+        });
+        await task.save();
+        return { taskId: task._id };
+      }
+    });
+
+    this.register('send_invoice', {
+      schema: {
+        invoiceId: { type: 'string' }
+      },
+      execute: async (params, context) => {
+        let invoice = context.invoice;
+        if (!invoice && params.invoiceId) {
+          invoice = await Invoice.findOne({ _id: params.invoiceId, user: context.user._id });
+        }
+        if (!invoice && context.order) {
+          invoice = await Invoice.findOne({ order: context.order._id, user: context.user._id });
+        }
+        if (!invoice) {
+          throw new Error('No invoice available to send');
+        }
+
+        const result = await invoiceService.sendInvoicePDF(invoice._id, context.customer.phone, context.user);
+        return { invoiceId: invoice._id, messageId: result.messageId };
+      }
+    });
+
+    this.register('update_customer', {
+      schema: {
+        fields: { type: 'object', required: true }
+      },
+      validate: params => {
+        const invalid = Object.keys(params.fields || {}).filter(key => !UPDATABLE_CUSTOMER_FIELDS.includes(key));
+        return invalid.length > 0 ? `fields cannot update: ${invalid.join(', ')}` : null;
+      },
+      execute: async (params, context) => {
+        const { customer } = context;
+        Object.entries(params.fields).forEach(([key, value]) => {
+          customer.set(key, typeof value === 'string' ? this.renderText(value, context) : value);
+        });
+        await customer.save();
+        return { updated: Object.keys(params.fields) };
+      }
+    });
+
+    this.register('webhook', {
+      schema: {
+        url: { type: 'string', required: true },
+        method: { type: 'string', enum: ['POST', 'PUT'] },
+        headers: { type: 'object' },
+        secret: { type: 'string' },
+        timeoutMs: { type: 'number' },
+        maxRetries: { type: 'number' },
+        backoffMs: { type: 'number' }
+      },
+      validate: params => webhookDeliveryService.validateParams(params),
+      execute: async (params, context, rule, index, options = {}) => {
+        const result = await webhookDeliveryService.deliverForRule(
+          rule,
+          index,
+          params,
+          this.buildWebhookPayload(rule, context),
+          { context, executionId: options.executionId }
+        );
+
+        if (result.retryAt) {
+          return { deliveryId: result.deliveryId, scheduled: true, retryAt: result.retryAt, attempts: result.attempts.length };
+        }
+        if (!result.delivered) {
+          throw new Error(`Webhook delivery failed after ${result.attempts.length} attempt(s): ${result.lastError}`);
+        }
+        return { deliveryId: result.deliveryId, status: result.statusCode, attempts: result.attempts.length };
+      }
+    });
+
+    this.register('delay', {
+      schema: {
+        seconds: { type: 'number', required: true }
+      },
+      // The remaining actions are scheduled to run after the wait (see executeActions)
+      execute: async params => ({ resumeAfterSeconds: params.seconds })
+    });
+  }
+
+  validate(action) {
+    const executor = this.executors.get(action.type);
+    if (!executor) {
+      return [`unknown action type "${action.type}"`];
+    }
+
+    const params = action.params || {};
+    const errors = [];
+
+    Object.entries(executor.schema).forEach(([key, rules]) => {
+      const value = params[key];
+      if (value === undefined || value === null || value === '') {
+        if (rules.required) errors.push(`${key} is required`);
+        return;
+      }
+
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
+      if (actualType !== rules.type) {
+        errors.push(`${key} must be of type ${rules.type}`);
+      } else if (rules.enum && !rules.enum.includes(value)) {
+        errors.push(`${key} must be one of: ${rules.enum.join(', ')}`);
+      }
+    });
+
+    if (errors.length === 0 && executor.validate) {
+      const error = executor.validate(params);
+      if (error) errors.push(error);
+    }
+
+    if (action.delay !== undefined && (typeof action.delay !== 'number' || action.delay < 0)) {
+      errors.push('delay must be a non-negative number of seconds');
+    }
+
+    return errors;
+  }
+
+  validateActions(actions = []) {
+    return actions.flatMap((action, index) =>
+      this.validate(action).map(error => `actions[${index}] (${action.type}): ${error}`)
+    );
+  }
+
+  // Checks the actions' references to other documents against the rule owner's account
+  async authorizeActions(actions = [], userId) {
+    const errors = [];
+    for (const [index, action] of actions.entries()) {
+      const executor = this.executors.get(action.type);
+      const error = executor?.authorize && await executor.authorize(action.params || {}, userId);
+      if (error) errors.push(`actions[${index}] (${action.type}): ${error}`);
+    }
+    return errors;
+  }
+
+  // Runs the actions in order; a failed step is recorded and the chain continues. Delays
+  // are never waited out here: the rest of the chain is saved as an ActionJob and this
+  // returns, with the delayed step marked `scheduled`.
+  //
+  // options: startIndex and delayElapsed to resume a chain, executionId of the RuleExecution
+  async executeActions(rule, context, options = {}) {
+    const { startIndex = 0, delayElapsed = false } = options;
+    const results = [];
+    const actions = rule.actions || [];
+
+    for (let index = startIndex; index < actions.length; index++) {
+      const action = actions[index];
+      const step = { index, type: action.type, status: 'success' };
+
+      try {
+        const errors = this.validate(action);
+        if (errors.length > 0) {
+          throw new Error(`Invalid params: ${errors.join('; ')}`);
+        }
+
+        if (action.delay > 0 && !(index === startIndex && delayElapsed)) {
+          const job = await this.scheduleActions(rule, context, options, {
+            startIndex: index,
+            delayElapsed: true,
+            runAt: new Date(Date.now() + action.delay * 1000)
+          });
+          results.push({ ...step, status: 'scheduled', result: { jobId: job._id, runAt: job.runAt } });
+          break;
+        }
+
+        const startedAt = Date.now();
+        step.result = await this.executors.get(action.type).execute(action.params || {}, context, rule, index, options);
+        step.durationMs = Date.now() - startedAt;
+        if (step.result?.scheduled) {
+          step.status = 'scheduled';
+        }
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        logger.error(`Automation rule "${rule.name}" action #${index} (${action.type}) failed:`, error);
+      }
+
+      results.push(step);
+
+      if (step.result?.resumeAfterSeconds && index + 1 < actions.length) {
+        const job = await this.scheduleActions(rule, context, options, {
+          startIndex: index + 1,
+          delayElapsed: false,
+          runAt: new Date(Date.now() + step.result.resumeAfterSeconds * 1000)
+        });
+        step.result.jobId = job._id;
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  async scheduleActions(rule, context, options, fields) {
+    const job = new ActionJob({
+      user: rule.user,
+      rule: rule._id,
+      type: 'actions',
+      execution: options.executionId,
+      context: ActionJob.contextRefs(context),
+      ...fields
+    });
+    await job.save();
+
+    logger.info(`Automation rule "${rule.name}" continues from action #${fields.startIndex} at ${fields.runAt.toISOString()}`);
+    return job;
+  }
+
+  // Previews what each action would do, with placeholders filled in, without executing it
+  renderActions(actions, context) {
+    return (actions || []).map((action, index) => {
+      const errors = this.validate(action);
+      const params = this.renderParams(action.params || {}, context);
+      if (params.secret) params.secret = '********';
+
+      return {
+        index,
+        type: action.type,
+        delay: action.delay || 0,
+        valid: errors.length === 0,
+        errors,
+        recipient: context.customer?.phone,
+        params
+      };
+    });
+  }
+
+  renderParams(value, context) {
+    if (typeof value === 'string') return this.renderText(value, context);
+    if (Array.isArray(value)) return value.map(item => this.renderParams(item, context));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.renderParams(item, context)])
+      );
+    }
+    return value;
+  }
+
+  renderText(text, context) {
+    const values = {
+      customerName: context.customer?.name,
+      customerPhone: context.customer?.phone,
+      businessName: context.user?.businessName || context.user?.name,
+      orderNumber: context.order?.orderNumber,
+      orderStatus: context.order?.status,
+      orderTotal: context.order?.pricing?.total,
+      invoiceNumber: context.invoice?.invoiceNumber
+    };
+
+    return String(text || '').replace(/\{(\w+)\}/g, (placeholder, key) =>
+      values[key] !== undefined && values[key] !== null ? values[key] : placeholder
+    );
+  }
+
+  buildWebhookPayload(rule, context) {
+    return {
+      event: `automation.${rule.type}`,
+      rule: { id: rule._id, name: rule.name, type: rule.type },
+      message: context.message && {
+        id: context.message._id,
+        type: context.message.type,
+        content: context.message.content
+      },
+      customer: context.customer && {
+        id: context.customer._id,
+        name: context.customer.name,
+        phone: context.customer.phone,
+        tags: context.customer.tags
+      },
+      order: context.order && {
+        id: context.order._id,
+        orderNumber: context.order.orderNumber,
+        status: context.order.status,
+        total: context.order.pricing?.total
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Rules can run without a conversation (scheduled rules only look up an open one); the
+  // customer's conversation is started when a message is about to be sent
+  async openConversation(context) {
+    if (!context.conversation && context.customer) {
+      context.conversation = await Conversation.findOrCreateOpen(context.user._id, context.customer._id);
+    }
+    return context.conversation;
+  }
+
+  // Unsaved Message for an automated send; the outbound queue saves it with the send outcome
+  buildOutgoingMessage(rule, context, messageFields) {
+    const { user, customer, conversation } = context;
+    if (!conversation) return null;
+
+    return new Message({
+      user: user._id,
+      customer: customer._id,
+      conversation: conversation._id,
+      direction: 'outgoing',
+      ...messageFields,
+      automation: {
+        isAutomated: true,
+        triggeredBy: rule.type,
+        ruleId: rule._id
+      },
+      order: context.order?._id,
+      invoice: context.invoice?._id
+    });
+  }
+
+  async recordOutgoingMessage(context, message) {
+    const { conversation } = context;
+    if (!message) return null;
+
+    conversation.lastMessage = {
+      content: message.content?.text || `[${message.type}]`,
+      type: message.type,
+      direction: 'outgoing',
+      timestamp: new Date(),
+      sender: 'automation'
+    };
+    conversation.statistics.totalMessages += 1;
+    conversation.statistics.outgoingMessages += 1;
+    conversation.statistics.automatedMessages += 1;
+    await conversation.save();
+
+    return message;
+  }
+}
+
+module.exports = new ActionExecutorService();
@@ -0,0 +1,195 @@
+const ActionJob = require('../models/ActionJob');
+const AutomationRule = require('../models/AutomationRule');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const actionExecutorService = require('./actionExecutorService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const ruleExecutionService = require('./ruleExecutionService');
+const logger = require('../config/logger');
+
+const POLL_INTERVAL_MS = 5000;
+const CONCURRENCY = 4;
+// Jobs left in `processing` this long (e.g. after a crash) are handed back to the queue
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Runs delayed rule actions, webhook retries and dead-letter replays when they fall due.
+// Jobs are not retried on failure: the actions they run (sends, order updates) are not safe
+// to repeat.
+class ActionJobService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poke(), POLL_INTERVAL_MS);
+    this.poke();
+    logger.info('Automation action jobs started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Works off due jobs unless that is already happening, in which case it runs once more after
+  poke() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+
+    this.running = true;
+    this.drain()
+      .catch(error => logger.error('Action job error:', error))
+      .finally(() => {
+        this.running = false;
+        if (this.rerun) {
+          this.rerun = false;
+          this.poke();
+        }
+      });
+  }
+
+  async drain() {
+    await this.releaseStaleJobs();
+    await Promise.all(Array.from({ length: CONCURRENCY }, () => this.work()));
+  }
+
+  async work() {
+    let job;
+    while ((job = await this.claimNext())) {
+      await this.runJob(job);
+    }
+  }
+
+  async releaseStaleJobs() {
+    const result = await ActionJob.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+    );
+    if (result.modifiedCount > 0) {
+      logger.warn(`Released ${result.modifiedCount} stale action job(s)`);
+    }
+  }
+
+  claimNext() {
+    return ActionJob.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() } },
+      { $set: { status: 'processing', lockedAt: new Date() } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // The documents the rule originally ran against, scoped to the rule's owner
+  async loadContext(job) {
+    const refs = job.context || {};
+    const find = (Model, id) => (id ? Model.findOne({ _id: id, user: job.user }) : null);
+
+    const [user, customer, conversation, message, order, invoice] = await Promise.all([
+      User.findById(job.user),
+      find(Customer, refs.customer),
+      find(Conversation, refs.conversation),
+      find(Message, refs.message),
+      find(Order, refs.order),
+      find(Invoice, refs.invoice)
+    ]);
+
+    if (!user || (refs.customer && !customer)) {
+      throw new Error('Business account or customer no longer exists');
+    }
+
+    return {
+      user,
+      customer,
+      conversation,
+      message: message || undefined,
+      order: order || undefined,
+      invoice: invoice || undefined,
+      trigger: refs.trigger
+    };
+  }
+
+  async runJob(job) {
+    try {
+      if (job.type === 'replay') {
+        await this.replayWebhook(job);
+      } else {
+        const rule = await AutomationRule.findOne({ _id: job.rule, user: job.user });
+        if (!rule || !rule.isActive) {
+          throw new Error('Automation rule was deleted or disabled');
+        }
+
+        const context = await this.loadContext(job);
+        const steps = job.type === 'actions'
+          ? await actionExecutorService.executeActions(rule, context, {
+            startIndex: job.startIndex,
+            delayElapsed: job.delayElapsed,
+            executionId: job.execution
+          })
+          : [await this.retryWebhook(rule, context, job)];
+
+        await ruleExecutionService.appendActions(job.execution, steps);
+      }
+
+      job.status = 'completed';
+      job.completedAt = new Date();
+    } catch (error) {
+      job.status = 'failed';
+      job.lastError = error.message;
+      logger.error(`Action job ${job._id} (${job.type}) failed:`, error);
+    }
+
+    job.lockedAt = undefined;
+    await job.save();
+  }
+
+  // Replays run whether or not the rule is still active: they were asked for by hand
+  async replayWebhook(job) {
+    const deadLetter = await WebhookDeadLetter.findOne({ _id: job.deadLetter, user: job.user });
+    if (!deadLetter) {
+      throw new Error('Dead letter no longer exists');
+    }
+
+    const result = await webhookDeliveryService.replay(
+      deadLetter,
+      job.webhook.attempts.map(attempt => attempt.toObject())
+    );
+    if (!result.delivered && !result.retryAt) {
+      throw new Error(`Replay of webhook ${deadLetter.deliveryId} failed: ${result.lastError}`);
+    }
+  }
+
+  async retryWebhook(rule, context, job) {
+    const { actionIndex, deliveryId, payload, attempts } = job.webhook;
+    const action = rule.actions[actionIndex];
+    if (action?.type !== 'webhook') {
+      throw new Error(`Action #${actionIndex} of rule "${rule.name}" is no longer a webhook`);
+    }
+
+    const result = await webhookDeliveryService.deliverForRule(rule, actionIndex, action.params || {}, payload, {
+      context,
+      executionId: job.execution,
+      deliveryId,
+      attempts: attempts.map(attempt => attempt.toObject())
+    });
+
+    return {
+      index: actionIndex,
+      type: 'webhook',
+      status: result.delivered ? 'success' : (result.retryAt ? 'scheduled' : 'failed'),
+      result: { deliveryId, status: result.statusCode, attempts: result.attempts.length, retryAt: result.retryAt },
+      error: result.delivered ? undefined : result.lastError
+    };
+  }
+}
+
+module.exports = new ActionJobService();
@@ -1,5 +1,6 @@
 const logger = require('../config/logger');
 const whatsappService = require('./whatsappService');
+const orderDialogService = require('./orderDialogService');
 
 class AIAutomationService {
   constructor() {
@@ -207,7 +208,7 @@ class AIAutomationService {
 
   async sendAutomatedResponse(phoneNumber, message, user) {
     try {
-      const result = await whatsappService.sendTextMessage(phoneNumber, message);
+      const result = await whatsappService.forUser(user).sendTextMessage(phoneNumber, message);
       logger.info('Automated response sent successfully');
       return result;
     } catch (error) {
@@ -216,51 +217,34 @@ class AIAutomationService {
     }
   }
 
+  // Builds order data from products named in the message ("2 x Basmati 5kg, 3 pcs ghee").
+  // Items matching several products are returned as ambiguous for the caller to resolve.
   async processOrderFromMessage(messageText, customer, conversation) {
+    const { resolved, ambiguous, unmatched } = await orderDialogService.matchItems(
+      customer.user,
+      this.extractProductsFromText(messageText)
+    );
+
     const orderData = {
       customer: customer._id,
-      items: [],
+      items: resolved.map(item => ({ product: item.product._id, quantity: item.quantity })),
       source: 'whatsapp',
       notes: {
         customer: messageText
       }
     };
 
-    // Extract products and quantities from message
-    const quantityPatterns = [
-      /(\d+)\s*(x|×)\s*(.+?)(?=\d+\s*(?:x|×)|$)/gi,
-      /(\d+)\s*(.+?)(?=\d+\s*(?:x|×)|$)/gi
-    ];
-
-    // This is a simplified extraction - in production, use NLP
-    const products = this.extractProductsFromText(messageText);
-
     return {
       orderData,
-      extractedProducts: products,
+      extractedProducts: resolved.map(item => ({ name: item.product.name, sku: item.product.sku, quantity: item.quantity })),
+      ambiguous: ambiguous.map(item => ({ name: item.name, quantity: item.quantity, options: item.options.map(product => product.name) })),
+      unmatched: unmatched.map(item => item.name),
       message: "Thank you! I've noted your order request. Let me confirm the details with you."
     };
   }
 
   extractProductsFromText(text) {
-    // Simplified product extraction
-    // In production, integrate with ML/NLP service
-    const products = [];
-    const patterns = [
-      /(\d+)\s*(?:pieces?|pcs?|units?)\s*(?:of)?\s*(.+?)(?=\d+\s*(?:pieces?|pcs?)|$)/gi
-    ];
-
-    patterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        products.push({
-          quantity: parseInt(match[1]),
-          name: match[2].trim()
-        });
-      }
-    });
-
-    return products;
+    return orderDialogService.parseItems(text).map(({ quantity, name }) => ({ quantity, name }));
   }
 
   generateSmartSuggestions(conversation, customer) {
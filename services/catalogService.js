@@ -0,0 +1,94 @@
+const Product = require('../models/Product');
+const whatsappService = require('./whatsappService');
+const logger = require('../config/logger');
+
+// items_batch accepts up to 5000 requests; smaller batches keep failures contained
+const BATCH_SIZE = 500;
+
+// Publishes products to the business's WhatsApp (Meta commerce) catalog. The product SKU is
+// the catalog's retailer ID, which is what product messages and incoming carts refer to.
+class CatalogService {
+  // Catalog item for a product, or null when it is missing something the catalog requires
+  toCatalogItem(product) {
+    const image = product.images?.find(item => item.isPrimary) || product.images?.[0];
+    if (!image?.url || !product.pricing?.sellingPrice) {
+      return null;
+    }
+
+    const inStock = !product.inventory?.trackInventory || product.inventory.quantity > 0;
+    const item = {
+      id: product.sku,
+      title: product.name,
+      description: product.description || product.name,
+      availability: inStock ? 'in stock' : 'out of stock',
+      condition: 'new',
+      price: `${product.pricing.sellingPrice.toFixed(2)} ${product.pricing.currency || 'INR'}`,
+      link: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products/${product._id}`,
+      image_link: image.url,
+      brand: product.brand || 'Store',
+      additional_image_link: product.images.filter(item => item !== image).map(item => item.url).slice(0, 10)
+    };
+
+    if (product.pricing.mrp && product.pricing.mrp > product.pricing.sellingPrice) {
+      item.price = `${product.pricing.mrp.toFixed(2)} ${product.pricing.currency || 'INR'}`;
+      item.sale_price = `${product.pricing.sellingPrice.toFixed(2)} ${product.pricing.currency || 'INR'}`;
+    }
+
+    return item;
+  }
+
+  // Upserts active products and removes previously synced inactive ones
+  async syncProducts(user) {
+    const client = whatsappService.forUser(user);
+    const catalogId = client.requireCatalogId();
+
+    const products = await Product.find({
+      user: user._id,
+      $or: [{ isActive: true }, { 'whatsappCatalog.syncedAt': { $exists: true } }]
+    });
+
+    const summary = { synced: 0, removed: 0, skipped: [], batches: 0 };
+    const requests = [];
+
+    products.forEach(product => {
+      if (!product.isActive) {
+        requests.push({ product, request: { method: 'DELETE', data: { id: product.sku } } });
+        return;
+      }
+
+      const item = this.toCatalogItem(product);
+      if (!item) {
+        summary.skipped.push({ product: product._id, sku: product.sku, reason: 'An image and a selling price are required' });
+        return;
+      }
+      requests.push({ product, request: { method: 'UPDATE', data: item } });
+    });
+
+    for (let start = 0; start < requests.length; start += BATCH_SIZE) {
+      const batch = requests.slice(start, start + BATCH_SIZE);
+
+      await client.makeRequest(`${catalogId}/items_batch`, 'POST', {
+        item_type: 'PRODUCT_ITEM',
+        allow_upsert: true,
+        requests: batch.map(entry => entry.request)
+      });
+      summary.batches++;
+
+      for (const { product, request } of batch) {
+        if (request.method === 'DELETE') {
+          product.whatsappCatalog = undefined;
+          summary.removed++;
+        } else {
+          product.whatsappCatalog = { retailerId: product.sku, syncedAt: new Date() };
+          summary.synced++;
+        }
+        await product.save();
+      }
+    }
+
+    logger.info(`Synced WhatsApp catalog ${catalogId} for user ${user._id}: ${summary.synced} synced, ${summary.removed} removed, ${summary.skipped.length} skipped`);
+    return summary;
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,237 @@
+const Customer = require('../models/Customer');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const { getZonedParts, isTimeInWindow } = require('../utils/dateTime');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const CONVERSATION_COUNTERS = ['totalMessages', 'incomingMessages', 'outgoingMessages', 'automatedMessages'];
+
+class ConditionEvaluatorService {
+  constructor() {
+    this.resolvers = {
+      customer_tag: (condition, scope) => this.resolveCustomerTags(scope),
+      time_range: (condition, scope) => scope.now.time,
+      message_count: (condition, scope) => this.resolveMessageCount(condition, scope),
+      order_value: (condition, scope) => this.resolveOrderValue(condition, scope),
+      payment_status: (condition, scope) => this.resolvePaymentStatus(condition, scope),
+      day_of_week: (condition, scope) => scope.now.weekday
+    };
+  }
+
+  // Evaluates a rule's conditions against live documents and returns a per-condition trace.
+  // Conditions sharing a `group` must all pass; groups (ungrouped conditions are groups of
+  // one) are then combined with the rule's conditionLogic, 'and' by default.
+  async evaluate(rule, context, now = new Date()) {
+    const scope = {
+      rule,
+      context,
+      now: getZonedParts(now, rule.trigger?.schedule?.timezone),
+      cache: {}
+    };
+
+    const trace = [];
+    for (const [index, condition] of (rule.conditions || []).entries()) {
+      trace.push(await this.evaluateCondition(condition, index, scope));
+    }
+
+    const groups = new Map();
+    trace.forEach(entry => {
+      const key = entry.group || `#${entry.index}`;
+      groups.set(key, (groups.has(key) ? groups.get(key) : true) && entry.passed);
+    });
+
+    const groupResults = [...groups.values()];
+    const passed = groupResults.length === 0 || (rule.conditionLogic === 'or'
+      ? groupResults.some(Boolean)
+      : groupResults.every(Boolean));
+
+    return {
+      passed,
+      logic: rule.conditionLogic || 'and',
+      groups: Object.fromEntries(groups),
+      trace
+    };
+  }
+
+  async evaluateCondition(condition, index, scope) {
+    const entry = {
+      index,
+      type: condition.type,
+      operator: condition.operator,
+      field: condition.field,
+      group: condition.group,
+      expected: condition.value
+    };
+
+    try {
+      const resolver = this.resolvers[condition.type];
+      if (!resolver) {
+        throw new Error(`Unknown condition type "${condition.type}"`);
+      }
+
+      entry.actual = await resolver(condition, scope);
+      entry.passed = condition.type === 'time_range'
+        ? this.compareTimeRange(entry.actual, condition.operator, condition.value)
+        : this.compare(entry.actual, condition.operator, this.normalizeExpected(condition));
+    } catch (error) {
+      entry.passed = false;
+      entry.error = error.message;
+    }
+
+    return entry;
+  }
+
+  normalizeExpected(condition) {
+    if (condition.type !== 'day_of_week') return condition.value;
+
+    // Days may be given as names or as numbers with 0 = Sunday
+    const toDayName = day => (typeof day === 'number' ? DAYS_OF_WEEK[day] : String(day).toLowerCase());
+    return Array.isArray(condition.value) ? condition.value.map(toDayName) : toDayName(condition.value);
+  }
+
+  compare(actual, operator, expected) {
+    const list = Array.isArray(expected) ? expected : [expected];
+    const values = Array.isArray(actual) ? actual : [actual];
+
+    switch (operator) {
+      case 'equals':
+        return values.some(value => this.isEqual(value, expected));
+      case 'not_equals':
+        return !values.some(value => this.isEqual(value, expected));
+      case 'greater_than':
+        return actual !== undefined && actual !== null && Number(actual) > Number(expected);
+      case 'less_than':
+        return actual !== undefined && actual !== null && Number(actual) < Number(expected);
+      case 'contains':
+        return Array.isArray(actual)
+          ? actual.some(value => this.isEqual(value, expected))
+          : String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+      case 'in':
+        return values.some(value => list.some(item => this.isEqual(value, item)));
+      case 'not_in':
+        return !values.some(value => list.some(item => this.isEqual(value, item)));
+      default:
+        throw new Error(`Unknown operator "${operator}"`);
+    }
+  }
+
+  isEqual(actual, expected) {
+    if (typeof actual === 'string' && typeof expected === 'string') {
+      return actual.toLowerCase() === expected.toLowerCase();
+    }
+    return actual == expected;
+  }
+
+  // Time ranges are given as { start: 'HH:mm', end: 'HH:mm' } or 'HH:mm-HH:mm'
+  compareTimeRange(time, operator, value) {
+    const [start, end] = typeof value === 'string'
+      ? value.split('-').map(part => part.trim())
+      : [value?.start, value?.end];
+
+    if (!start || !end) {
+      throw new Error('time_range value must have a start and an end');
+    }
+
+    const inRange = isTimeInWindow(time, start, end);
+    return ['not_equals', 'not_in'].includes(operator) ? !inRange : inRange;
+  }
+
+  async getCustomer(scope) {
+    if (!('customer' in scope.cache)) {
+      const { customer } = scope.context;
+      scope.cache.customer = customer && !customer.phone && customer._id
+        ? await Customer.findOne({ _id: customer._id, user: scope.rule.user })
+        : customer || null;
+    }
+    return scope.cache.customer;
+  }
+
+  async getLatestOrder(scope) {
+    if (scope.context.order) return scope.context.order;
+
+    if (!('order' in scope.cache)) {
+      const customer = await this.getCustomer(scope);
+      scope.cache.order = customer?._id
+        ? await Order.findOne({ customer: customer._id, user: scope.rule.user }).sort('-createdAt')
+        : null;
+    }
+    return scope.cache.order;
+  }
+
+  async getLatestInvoice(scope) {
+    if (scope.context.invoice) return scope.context.invoice;
+
+    if (!('invoice' in scope.cache)) {
+      const customer = await this.getCustomer(scope);
+      const query = scope.context.order
+        ? { order: scope.context.order._id }
+        : { customer: customer?._id };
+      scope.cache.invoice = query.order || query.customer
+        ? await Invoice.findOne({ ...query, user: scope.rule.user }).sort('-createdAt')
+        : null;
+    }
+    return scope.cache.invoice;
+  }
+
+  async resolveCustomerTags(scope) {
+    const customer = await this.getCustomer(scope);
+    return customer?.tags || [];
+  }
+
+  // field: totalMessages (default), incomingMessages, outgoingMessages or automatedMessages
+  async resolveMessageCount(condition, scope) {
+    const counter = condition.field || 'totalMessages';
+    if (!CONVERSATION_COUNTERS.includes(counter)) {
+      throw new Error(`message_count field must be one of: ${CONVERSATION_COUNTERS.join(', ')}`);
+    }
+
+    let { conversation } = scope.context;
+    if (conversation && !conversation.statistics) {
+      conversation = await Conversation.findOne({ _id: conversation._id || conversation, user: scope.rule.user });
+    }
+    if (conversation?.statistics) {
+      return conversation.statistics[counter] || 0;
+    }
+
+    // Without a conversation, count the customer's messages directly
+    const customer = await this.getCustomer(scope);
+    if (!customer?._id) return 0;
+
+    const query = { user: scope.rule.user, customer: customer._id };
+    if (counter === 'incomingMessages') query.direction = 'incoming';
+    if (counter === 'outgoingMessages') query.direction = 'outgoing';
+    if (counter === 'automatedMessages') query['automation.isAutomated'] = true;
+    return await Message.countDocuments(query);
+  }
+
+  // field: total (default), subtotal or amountDue of the order; lifetime or average for the customer
+  async resolveOrderValue(condition, scope) {
+    const field = condition.field || 'total';
+
+    if (field === 'lifetime' || field === 'average') {
+      const customer = await this.getCustomer(scope);
+      return field === 'lifetime' ? customer?.totalSpent || 0 : customer?.averageOrderValue || 0;
+    }
+
+    const order = await this.getLatestOrder(scope);
+    return order?.pricing?.[field];
+  }
+
+  // field: order or invoice; defaults to the order when one is available
+  async resolvePaymentStatus(condition, scope) {
+    const field = condition.field || (scope.context.order ? 'order' : 'invoice');
+
+    if (field === 'order') {
+      const order = await this.getLatestOrder(scope);
+      return order?.paymentStatus;
+    }
+
+    const invoice = await this.getLatestInvoice(scope);
+    return invoice?.paymentDetails?.status;
+  }
+}
+
+module.exports = new ConditionEvaluatorService();
@@ -0,0 +1,127 @@
+const orderDialogService = require('./orderDialogService');
+const orderStatusService = require('./orderStatusService');
+const { normalize } = require('../utils/textMatching');
+const logger = require('../config/logger');
+
+const DEFAULT_TTL_MINUTES = 30;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const CANCEL_WORDS = ['cancel', 'stop', 'exit', 'quit'];
+
+// Multi-step bot dialogs that wait for the customer's next message. The state lives on
+// Conversation.dialog, so a dialog survives restarts and expires when left unanswered.
+//
+// A flow is { intent, start(context, text), handle(context, text, step), end?(context) }
+// plus optional ttlMinutes, maxAttempts, cancelReply and giveUpReply. start and handle
+// return one of:
+//   { reply, step }          ask a question and wait for the answer to `step`
+//   { reply, invalid: true } the answer didn't validate; re-ask, up to maxAttempts times
+//   { reply }                finish the dialog
+class DialogService {
+  constructor() {
+    this.flows = new Map();
+    this.registerDefaults();
+  }
+
+  register(name, flow) {
+    this.flows.set(name, flow);
+  }
+
+  async start(name, context, text) {
+    const flow = this.flows.get(name);
+    if (!flow) {
+      throw new Error(`Unknown dialog flow: ${name}`);
+    }
+
+    context.conversation.dialog = { flow: name, attempts: 0 };
+    return await this.apply(context, flow, await flow.start(context, text));
+  }
+
+  // Passes the customer's message to the conversation's dialog; { handled: false } when
+  // there is none, or it has expired and the message should be processed normally
+  async handle(context, text) {
+    const { conversation } = context;
+    const dialog = conversation.dialog;
+    if (!dialog?.flow) return { handled: false };
+
+    const flow = this.flows.get(dialog.flow);
+    if (!flow || !dialog.expiresAt || dialog.expiresAt < new Date()) {
+      logger.info(`Dialog ${dialog.flow} in conversation ${conversation._id} timed out at step ${dialog.step}`);
+      await this.end(context, flow);
+      return { handled: false };
+    }
+
+    if (CANCEL_WORDS.includes(normalize(text))) {
+      const result = this.result(dialog, flow, {
+        reply: flow.cancelReply || "Okay, no problem. Let us know if there's anything else we can help with. 🙏",
+        cancelled: true
+      });
+      await this.end(context, flow);
+      return result;
+    }
+
+    return await this.apply(context, flow, await flow.handle(context, text, dialog.step));
+  }
+
+  async apply(context, flow, outcome) {
+    const { conversation } = context;
+    const dialog = conversation.dialog;
+
+    if (outcome.invalid) {
+      dialog.attempts = (dialog.attempts || 0) + 1;
+      if (dialog.attempts >= (flow.maxAttempts || DEFAULT_MAX_ATTEMPTS)) {
+        const result = this.result(dialog, flow, {
+          ...outcome,
+          reply: flow.giveUpReply || "Sorry, I couldn't understand that. Our team will get back to you shortly.",
+          gaveUp: true
+        });
+        await this.end(context, flow);
+        return result;
+      }
+    } else if (outcome.step) {
+      dialog.step = outcome.step;
+      dialog.attempts = 0;
+    } else {
+      const result = this.result(dialog, flow, outcome);
+      await this.end(context, flow);
+      return result;
+    }
+
+    dialog.expiresAt = new Date(Date.now() + (flow.ttlMinutes || DEFAULT_TTL_MINUTES) * 60 * 1000);
+    conversation.markModified('dialog');
+    await conversation.save();
+
+    return this.result(dialog, flow, outcome);
+  }
+
+  result(dialog, flow, outcome) {
+    return { handled: true, flow: dialog.flow, step: dialog.step, intent: flow?.intent, ...outcome };
+  }
+
+  async end(context, flow) {
+    if (flow?.end) {
+      await flow.end(context);
+    }
+    context.conversation.dialog = undefined;
+    await context.conversation.save();
+  }
+
+  registerDefaults() {
+    this.register('order', {
+      intent: 'new_order',
+      cancelReply: "Okay, I've cancelled this order. Message us anytime to start a new one. 🙏",
+      giveUpReply: "Sorry, I couldn't follow that, so I've put this order on hold. Our team will get back to you shortly.",
+      start: (context, text) => orderDialogService.start(context, text),
+      handle: (context, text, step) => orderDialogService.handle(context, text, step),
+      end: (context) => orderDialogService.end(context)
+    });
+
+    this.register('order_lookup', {
+      intent: 'order_status',
+      giveUpReply: "Sorry, I couldn't find that order. Our team will look into it and get back to you shortly.",
+      start: (context, text) => orderStatusService.startLookup(context, text),
+      handle: (context, text, step) => orderStatusService.handleLookup(context, text, step)
+    });
+  }
+}
+
+module.exports = new DialogService();
@@ -0,0 +1,344 @@
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const whatsappService = require('./whatsappService');
+const aiAutomationService = require('./aiAutomationService');
+const ruleEngineService = require('./ruleEngineService');
+const messageStatusService = require('./messageStatusService');
+const mediaService = require('./mediaService');
+const interactiveReplyService = require('./interactiveReplyService');
+const orderService = require('./orderService');
+const orderDialogService = require('./orderDialogService');
+const orderStatusService = require('./orderStatusService');
+const dialogService = require('./dialogService');
+const logger = require('../config/logger');
+
+class InboundMessageService {
+  // Find the business a webhook belongs to from the phone number it was sent to.
+  // Numbers no connected user owns are logged and dropped.
+  async resolveTenant(phoneNumberId) {
+    const user = phoneNumberId ? await User.findByPhoneNumberId(phoneNumberId) : null;
+    if (!user) {
+      logger.warn(`Rejected webhook for unknown WhatsApp phone_number_id: ${phoneNumberId || 'missing'}`);
+    }
+    return user;
+  }
+
+  async processMessage(user, messageData) {
+    // Find or create customer
+    let customer = await Customer.findOne({
+      user: user._id,
+      phone: messageData.phone
+    });
+
+    if (!customer) {
+      // Create new customer from WhatsApp
+      customer = new Customer({
+        user: user._id,
+        name: messageData.contactName || `Customer ${messageData.phone.slice(-4)}`,
+        phone: messageData.phone,
+        preferredChannel: 'whatsapp',
+        source: 'whatsapp'
+      });
+      await customer.save();
+      logger.info(`New customer created from WhatsApp: ${customer.phone}`);
+    }
+
+    // Track the customer's latest message for the 24-hour service window
+    const sentAt = new Date(messageData.whatsapp.messageTimestamp * 1000);
+    if (!customer.lastIncomingMessageAt || customer.lastIncomingMessageAt < sentAt) {
+      customer.lastIncomingMessageAt = sentAt;
+      await Customer.updateOne(
+        { _id: customer._id, $or: [{ lastIncomingMessageAt: null }, { lastIncomingMessageAt: { $lt: sentAt } }] },
+        { $set: { lastIncomingMessageAt: sentAt } }
+      );
+    }
+
+    // Find or create conversation
+    let conversation = await Conversation.findOne({
+      user: user._id,
+      customer: customer._id,
+      status: { $ne: 'closed' }
+    });
+
+    if (!conversation) {
+      conversation = new Conversation({
+        user: user._id,
+        customer: customer._id,
+        channel: 'whatsapp',
+        status: 'open'
+      });
+      await conversation.save();
+    }
+
+    // A retried job may have stored the message before failing. Once its AI processing is
+    // saved, replies may already have gone out, so the message is not processed again.
+    const existing = await Message.findOne({
+      user: user._id,
+      'whatsapp.messageId': messageData.whatsapp.messageId
+    });
+    if (existing?.processing?.intent) {
+      logger.info(`WhatsApp message ${messageData.whatsapp.messageId} already processed`);
+      return existing;
+    }
+
+    // Create message
+    const message = existing || new Message({
+      user: user._id,
+      customer: customer._id,
+      conversation: conversation._id,
+      direction: 'incoming',
+      type: messageData.type,
+      content: messageData.content,
+      whatsapp: {
+        messageId: messageData.whatsapp.messageId,
+        messageTimestamp: messageData.whatsapp.messageTimestamp,
+        status: 'received'
+      },
+      metadata: await this.buildMetadata(user, messageData)
+    });
+    if (!existing) {
+      await message.save();
+
+      // Update conversation
+      conversation.lastMessage = {
+        content: messageData.content?.text || messageData.content?.reaction?.emoji || `[${messageData.type}]`,
+        type: messageData.type,
+        direction: 'incoming',
+        timestamp: new Date(),
+        sender: 'customer'
+      };
+      conversation.statistics.totalMessages += 1;
+      conversation.statistics.incomingMessages += 1;
+      await conversation.save();
+    }
+
+    // Copy media out of WhatsApp before its media ID expires
+    if (message.content?.media?.mediaId && !message.content.media.storageKey) {
+      await mediaService.storeIncomingMedia(user, message);
+    }
+
+    // Reactions are recorded against the message they react to but never answered
+    if (message.type === 'reaction') {
+      message.processing = { intent: 'reaction' };
+      await message.save();
+      return message;
+    }
+
+    // Button and list replies with a known payload (e.g. CONFIRM_ORDER:<id>) go straight
+    // to their handler instead of the AI and rule engine
+    const replyResult = await interactiveReplyService.handle(message, { user, customer, conversation });
+    if (replyResult.handled) {
+      message.processing = {
+        intent: 'interactive_reply',
+        entities: { action: replyResult.action, argument: replyResult.argument }
+      };
+      await message.save();
+
+      if (replyResult.reply) {
+        await this.sendAutomatedResponse(user, customer, conversation, replyResult.reply);
+      }
+      return message;
+    }
+
+    // Carts sent from the WhatsApp catalog become pending orders
+    if (message.type === 'order') {
+      await this.processCart(user, customer, conversation, message);
+      return message;
+    }
+
+    // A customer in a bot dialog (ordering over chat, looking up an order) is answering
+    // its last question
+    const context = { user, customer, conversation };
+    if (message.type === 'text') {
+      const dialogResult = await dialogService.handle(context, message.content.text);
+      if (dialogResult.handled) {
+        await this.recordDialogTurn(user, customer, conversation, message, dialogResult);
+        return message;
+      }
+    }
+
+    // Process with AI automation
+    const aiResult = await aiAutomationService.processIncomingMessage(
+      message,
+      customer,
+      conversation,
+      user
+    );
+
+    // Save AI processing results
+    message.processing = {
+      intent: aiResult.intent,
+      sentiment: aiResult.sentiment
+    };
+    await message.save();
+
+    // Evaluate the user's automation rules; a matching rule replaces the built-in reply,
+    // including when its constraints (time window, daily limit, blackout dates) hold it back
+    const ruleResult = await ruleEngineService.processIncomingMessage(
+      message,
+      customer,
+      conversation,
+      user,
+      { intent: aiResult.intent }
+    );
+    const handledByRule = ruleResult.matched || ruleResult.skipped.length > 0;
+
+    // Order status questions and order requests ("2 x Basmati 5kg, 3 pcs ghee") start a
+    // dialog; otherwise send the automated response if applicable
+    const flow = !handledByRule && message.type === 'text' &&
+      await this.chooseDialog(user, message.content.text, aiResult.intent);
+    if (flow) {
+      const dialogResult = await dialogService.start(flow, context, message.content.text);
+      await this.recordDialogTurn(user, customer, conversation, message, dialogResult);
+    } else if (!handledByRule && aiResult.automated && aiResult.suggestedResponse) {
+      await this.sendAutomatedResponse(user, customer, conversation, aiResult.suggestedResponse);
+    }
+
+    // Emit socket event for real-time updates (if socket.io is available)
+    // io.to(user._id.toString()).emit('new_message', { message, customer, conversation });
+
+    return message;
+  }
+
+  async processCart(user, customer, conversation, message) {
+    // A retried job keeps the order created on the first attempt
+    if (!message.order) {
+      try {
+        const { order, unavailable } = await orderService.createFromWhatsAppCart(user, customer, message.content.cart);
+        message.order = order._id;
+        await message.save();
+
+        await this.sendOrderConfirmationRequest(user, customer, conversation, order, unavailable);
+      } catch (error) {
+        if (!error.status) throw error;
+
+        logger.warn(`Could not create order from WhatsApp cart ${message.whatsapp.messageId}: ${error.message}`);
+        await this.sendAutomatedResponse(user, customer, conversation,
+          `Sorry, we couldn't place your order: ${error.message}. Please reply here and our team will help you.`);
+      }
+    }
+
+    message.processing = {
+      intent: 'new_order',
+      entities: message.order ? { orderId: message.order } : undefined
+    };
+    await message.save();
+  }
+
+  async chooseDialog(user, text, intent) {
+    if (intent === 'order_status' || orderStatusService.findOrderNumber(text)) {
+      return 'order_lookup';
+    }
+    if (await orderDialogService.shouldStart(user, text, intent)) {
+      return 'order';
+    }
+    return null;
+  }
+
+  async recordDialogTurn(user, customer, conversation, message, dialogResult) {
+    message.processing.intent = dialogResult.intent;
+    message.processing.entities = {
+      dialog: dialogResult.flow,
+      step: dialogResult.step,
+      orderId: dialogResult.order?._id
+    };
+    if (dialogResult.order) {
+      message.order = dialogResult.order._id;
+    }
+    await message.save();
+
+    await this.sendAutomatedResponse(user, customer, conversation, dialogResult.reply);
+  }
+
+  async sendOrderConfirmationRequest(user, customer, conversation, order, unavailable = []) {
+    const itemsList = order.items.map(item => `• ${item.productName} × ${item.quantity} = ₹${item.total.toFixed(2)}`).join('\n');
+    const missing = unavailable.length > 0
+      ? `\n\n⚠️ Not available: ${unavailable.map(item => item.retailerId).join(', ')}`
+      : '';
+    const text = `🛒 *Order ${order.orderNumber}*\n\n${itemsList}\n\n💰 *Total: ₹${order.pricing.total.toFixed(2)}*${missing}\n\nPlease confirm your order.`;
+
+    try {
+      const message = new Message({
+        user: user._id,
+        customer: customer._id,
+        conversation: conversation._id,
+        direction: 'outgoing',
+        type: 'interactive',
+        content: { text },
+        order: order._id,
+        automation: {
+          isAutomated: true
+        }
+      });
+      await whatsappService.forUser(user).sendButtonMessage(customer.phone, text, [
+        { id: interactiveReplyService.payload('CONFIRM_ORDER', order._id), title: 'Confirm order' }
+      ], { messageDoc: message });
+
+      conversation.statistics.automatedMessages += 1;
+      conversation.statistics.outgoingMessages += 1;
+      await conversation.save();
+    } catch (error) {
+      logger.error(`Failed to send confirmation request for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  // Links replies and reactions to the message they refer to, when we have it stored
+  async buildMetadata(user, messageData) {
+    const referencedId = messageData.context?.messageId || messageData.content?.reaction?.messageId;
+    if (!referencedId && !messageData.context) return undefined;
+
+    const referenced = referencedId &&
+      await Message.findOne({ user: user._id, 'whatsapp.messageId': referencedId }).select('_id');
+
+    return {
+      replyTo: referenced?._id,
+      replyToMessageId: referencedId,
+      forwarded: messageData.context?.forwarded,
+      forwardedManyTimes: messageData.context?.forwardedManyTimes
+    };
+  }
+
+  // Apply delivery statuses to the tenant's outgoing messages
+  async processStatusUpdates(user, statusData) {
+    statusData.errors.forEach(error => {
+      logger.error(`WhatsApp webhook error for user ${user._id}: ${error.code} ${error.title}`, error);
+    });
+
+    for (const status of statusData.statuses) {
+      try {
+        await messageStatusService.applyStatus(user, status);
+      } catch (error) {
+        logger.error(`Error applying status ${status.status} to message ${status.messageId}:`, error);
+      }
+    }
+  }
+
+  async sendAutomatedResponse(user, customer, conversation, responseText) {
+    try {
+      const message = new Message({
+        user: user._id,
+        customer: customer._id,
+        conversation: conversation._id,
+        direction: 'outgoing',
+        type: 'text',
+        content: { text: responseText },
+        automation: {
+          isAutomated: true
+        }
+      });
+      await whatsappService.forUser(user).sendTextMessage(customer.phone, responseText, { messageDoc: message });
+
+      conversation.statistics.automatedMessages += 1;
+      conversation.statistics.outgoingMessages += 1;
+      await conversation.save();
+
+      logger.info(`Automated response sent to ${customer.phone}`);
+    } catch (error) {
+      logger.error('Failed to send automated response:', error);
+    }
+  }
+}
+
+module.exports = new InboundMessageService();
@@ -0,0 +1,219 @@
+const InboundJob = require('../models/InboundJob');
+const User = require('../models/User');
+const inboundMessageService = require('./inboundMessageService');
+const logger = require('../config/logger');
+
+const POLL_INTERVAL_MS = 5000;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+// Jobs worked on at once; each tenant has at most one in progress per process
+const CONCURRENCY = parseInt(process.env.INBOUND_QUEUE_CONCURRENCY) || 4;
+// Jobs left in `processing` this long (e.g. after a crash) are handed back to the queue
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Webhook payloads are stored here before Meta gets its 200, then worked off in the background
+class InboundQueueService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+    this.activeTenants = new Set();
+  }
+
+  // Persists a parsed webhook. Payloads for unknown numbers are dropped and messages already
+  // queued are ignored; any other failure rejects so the webhook can ask Meta to retry.
+  async enqueue(messages, statusUpdates) {
+    const tenants = new Map();
+    const getTenant = phoneNumberId => {
+      if (!tenants.has(phoneNumberId)) tenants.set(phoneNumberId, inboundMessageService.resolveTenant(phoneNumberId));
+      return tenants.get(phoneNumberId);
+    };
+
+    const jobs = [];
+    for (const messageData of messages) {
+      const user = await getTenant(messageData.phoneNumberId);
+      if (!user) continue;
+
+      jobs.push({
+        user: user._id,
+        type: 'message',
+        messageId: messageData.whatsapp.messageId,
+        orderingKey: `${user._id}:${messageData.phone}`,
+        messageTimestamp: messageData.whatsapp.messageTimestamp,
+        payload: messageData
+      });
+    }
+
+    for (const statusData of statusUpdates) {
+      const user = await getTenant(statusData.phoneNumberId);
+      if (!user) continue;
+
+      jobs.push({ user: user._id, type: 'status', payload: statusData });
+    }
+
+    if (jobs.length === 0) return 0;
+
+    let queued = jobs.length;
+    try {
+      await InboundJob.insertMany(jobs, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      queued -= writeErrors.length;
+      logger.info(`Skipped ${writeErrors.length} duplicate WhatsApp message(s) already queued`);
+    }
+
+    this.poke();
+    return queued;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poke(), POLL_INTERVAL_MS);
+    this.poke();
+    logger.info('Inbound message queue started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Drains the queue unless a drain is already running, in which case it runs once more after
+  poke() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+
+    this.running = true;
+    this.drain()
+      .catch(error => logger.error('Inbound queue error:', error))
+      .finally(() => {
+        this.running = false;
+        if (this.rerun) {
+          this.rerun = false;
+          this.poke();
+        }
+      });
+  }
+
+  async drain() {
+    await this.releaseStaleJobs();
+    await Promise.all(Array.from({ length: CONCURRENCY }, () => this.work()));
+  }
+
+  async work() {
+    let job;
+    while ((job = await this.claimNext())) {
+      try {
+        await this.runJob(job);
+      } finally {
+        this.activeTenants.delete(job.user.toString());
+      }
+    }
+  }
+
+  async releaseStaleJobs() {
+    const result = await InboundJob.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: 'pending', nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+    if (result.modifiedCount > 0) {
+      logger.warn(`Released ${result.modifiedCount} stale inbound job(s)`);
+    }
+  }
+
+  // Claims the oldest due job whose customer has no earlier message still waiting, skipping
+  // tenants another worker here is busy with so one tenant's backlog can't hold up the rest
+  async claimNext() {
+    const candidates = await InboundJob.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ messageTimestamp: 1, createdAt: 1 })
+      .limit(100);
+
+    for (const candidate of candidates) {
+      const tenant = candidate.user.toString();
+      if (this.activeTenants.has(tenant)) continue;
+
+      // Held while checking so two workers can't take the same tenant at once
+      this.activeTenants.add(tenant);
+      let job = null;
+      try {
+        if (!(candidate.orderingKey && await this.hasEarlierPending(candidate))) {
+          job = await InboundJob.findOneAndUpdate(
+            { _id: candidate._id, status: 'pending' },
+            { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+            { new: true }
+          );
+        }
+      } finally {
+        if (!job) this.activeTenants.delete(tenant);
+      }
+      if (job) return job;
+    }
+
+    return null;
+  }
+
+  hasEarlierPending(job) {
+    return InboundJob.exists({
+      _id: { $ne: job._id },
+      orderingKey: job.orderingKey,
+      status: { $in: ['pending', 'processing'] },
+      $or: [
+        { messageTimestamp: { $lt: job.messageTimestamp } },
+        { messageTimestamp: job.messageTimestamp, createdAt: { $lt: job.createdAt } }
+      ]
+    });
+  }
+
+  async runJob(job) {
+    try {
+      const user = await User.findById(job.user);
+      if (!user) {
+        throw new Error('Business account not found');
+      }
+
+      if (job.type === 'message') {
+        await inboundMessageService.processMessage(user, job.payload);
+      } else {
+        await inboundMessageService.processStatusUpdates(user, job.payload);
+      }
+
+      job.status = 'completed';
+      job.completedAt = new Date();
+    } catch (error) {
+      job.lastError = error.message;
+      job.failures.push({ attempt: job.attempts, error: error.message, failedAt: new Date() });
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+        logger.error(`Inbound ${job.type} job ${job._id} failed after ${job.attempts} attempts:`, error);
+      } else {
+        const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+        job.status = 'pending';
+        job.nextAttemptAt = new Date(Date.now() + backoff);
+        logger.warn(`Inbound ${job.type} job ${job._id} attempt ${job.attempts} failed, retrying in ${backoff / 1000}s: ${error.message}`);
+      }
+    }
+
+    job.lockedAt = undefined;
+    await job.save();
+  }
+
+  async retry(job) {
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date();
+    job.lastError = undefined;
+    await job.save();
+
+    this.poke();
+    return job;
+  }
+}
+
+module.exports = new InboundQueueService();
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('./invoiceService');
+const orderEventService = require('./orderEventService');
+const orderService = require('./orderService');
+const logger = require('../config/logger');
+
+// Routes button and list replies by their payload ID, `ACTION:<argument>`. Handlers receive
+// (argument, context) and may return { reply } to answer the customer with a text message.
+class InteractiveReplyService {
+  constructor() {
+    this.handlers = new Map();
+    this.registerDefaults();
+  }
+
+  register(action, handler) {
+    this.handlers.set(action, handler);
+  }
+
+  // Payload ID for a button or list row, e.g. payload('CONFIRM_ORDER', order._id)
+  payload(action, argument) {
+    return argument === undefined ? action : `${action}:${argument}`;
+  }
+
+  parsePayload(id) {
+    const match = /^([A-Z][A-Z0-9_]*)(?::(.*))?$/.exec(id || '');
+    return match ? { action: match[1], argument: match[2] } : null;
+  }
+
+  // Runs the handler for a reply's payload; replies without a known payload are left to
+  // the normal automation flow
+  async handle(message, context) {
+    const payload = this.parsePayload(message.content?.interactive?.id);
+    const handler = payload && this.handlers.get(payload.action);
+    if (!handler) {
+      return { handled: false };
+    }
+
+    logger.info(`Routing ${payload.action} reply from ${context.customer.phone}`);
+    const result = await handler(payload.argument, context) || {};
+    return { handled: true, ...payload, ...result };
+  }
+
+  registerDefaults() {
+    this.register('CONFIRM_ORDER', async (orderId, { user, customer }) => {
+      const order = mongoose.isValidObjectId(orderId) && await Order.findOne({
+        _id: orderId,
+        user: user._id,
+        customer: customer._id
+      });
+      if (!order) {
+        return { reply: "Sorry, we couldn't find that order. Please contact us for help." };
+      }
+
+      if (order.status !== 'pending') {
+        return { reply: `Order *${order.orderNumber}* is already ${order.status}.` };
+      }
+
+      try {
+        await orderService.confirmDraft(order);
+      } catch (error) {
+        if (!error.status) throw error;
+        logger.warn(`Could not confirm order ${order.orderNumber}: ${error.message}`);
+        return { reply: `Sorry, we couldn't confirm order *${order.orderNumber}*: ${error.message}. Our team will get back to you shortly.` };
+      }
+
+      order.status = 'confirmed';
+      order.tracking.history.push({
+        status: 'confirmed',
+        timestamp: new Date(),
+        notes: 'Confirmed by customer on WhatsApp'
+      });
+      await order.save();
+
+      await orderEventService.statusChanged(order, 'pending');
+
+      return { orderId: order._id };
+    });
+
+    this.register('PAY_INVOICE', async (invoiceId, { user, customer }) => {
+      const invoice = mongoose.isValidObjectId(invoiceId) && await Invoice.findOne({
+        _id: invoiceId,
+        user: user._id,
+        customer: customer._id
+      });
+      if (!invoice) {
+        return { reply: "Sorry, we couldn't find that invoice. Please contact us for help." };
+      }
+
+      if (invoice.paymentDetails.status === 'paid') {
+        return { reply: `Invoice *${invoice.invoiceNumber}* is already paid. Thank you! 🙏` };
+      }
+
+      const amountDue = invoice.pricing.total - (invoice.paymentDetails.paidAmount || 0);
+      const paymentLink = invoiceService.getPaymentLink(invoice, user);
+      const bank = invoice.businessDetails?.bankDetails;
+
+      let instructions;
+      if (paymentLink) {
+        instructions = `Pay with any UPI app:\n${paymentLink}`;
+      } else if (bank?.accountNumber) {
+        instructions = `Bank transfer to:\n${bank.bankName || ''}\nA/C: ${bank.accountNumber}\nIFSC: ${bank.ifscCode || ''}`;
+      } else {
+        instructions = 'Our team will share the payment details with you shortly.';
+      }
+
+      return {
+        invoiceId: invoice._id,
+        paymentLink,
+        reply: `💳 *Invoice ${invoice.invoiceNumber}*\n\n💰 Amount Due: ₹${amountDue}\n📅 Due Date: ${new Date(invoice.dates.dueDate).toLocaleDateString('en-IN')}\n\n${instructions}`
+      };
+    });
+  }
+}
+
+module.exports = new InteractiveReplyService();
@@ -481,7 +481,7 @@ class InvoiceService {
       const whatsappService = require('./whatsappService');
       const message = `📄 Hi! Please find your invoice attached.\n\nInvoice #: ${invoice.invoiceNumber}\nAmount: ₹${invoice.pricing.total}\nDue Date: ${new Date(invoice.dates.dueDate).toLocaleDateString('en-IN')}`;
       
-      const result = await whatsappService.sendDocumentMessage(
+      const result = await whatsappService.forUser(user).sendDocumentMessage(
         phoneNumber,
         `file://${invoice.pdf.path}`,
         `Invoice_${invoice.invoiceNumber}.pdf`,
@@ -503,6 +503,22 @@ class InvoiceService {
     }
   }
 
+  // UPI deep link for the amount still due; null when the business has no UPI ID
+  getPaymentLink(invoice, user) {
+    if (!user?.upiId) return null;
+
+    const amountDue = invoice.pricing.total - (invoice.paymentDetails.paidAmount || 0);
+    const params = new URLSearchParams({
+      pa: user.upiId,
+      pn: user.businessName || user.name,
+      am: amountDue.toFixed(2),
+      cu: invoice.pricing.currency || 'INR',
+      tn: `Invoice ${invoice.invoiceNumber}`
+    });
+
+    return `upi://pay?${params.toString()}`;
+  }
+
   async getInvoiceStats(userId, dateRange = {}) {
     const match = { user: userId };
     
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const whatsappService = require('./whatsappService');
+const { createStorage } = require('../utils/mediaStorage');
+const logger = require('../config/logger');
+
+// WhatsApp accepts media up to 100 MB
+const MAX_MEDIA_BYTES = 100 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'application/pdf': '.pdf'
+};
+
+// Copies incoming WhatsApp media into our own storage. Media IDs from the webhook expire,
+// so files are downloaded when the message arrives and served from storage afterwards.
+class MediaService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  // Created on first use, so loading the service doesn't touch the disk or read config early
+  get storage() {
+    if (!this.adapter) {
+      this.adapter = createStorage();
+    }
+    return this.adapter;
+  }
+
+  // Swaps the storage adapter, e.g. for an object store
+  setStorage(storage) {
+    this.adapter = storage;
+  }
+
+  storageKey(message, mimeType) {
+    const extension = EXTENSIONS[(mimeType || '').split(';')[0]] || '';
+    return `${message.user}/${message._id}${extension}`;
+  }
+
+  // Pass-through stream that hashes and counts what flows through it, failing once more
+  // than `maxBytes` have passed
+  createMeter(maxBytes) {
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        meter.bytes += chunk.length;
+        if (meter.bytes > maxBytes) {
+          return callback(new Error(`Media is over the ${maxBytes} byte limit`));
+        }
+        meter.hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    meter.bytes = 0;
+    meter.hash = crypto.createHash('sha256');
+    return meter;
+  }
+
+  // Downloads and stores the message's media. Never throws: failures are recorded on the
+  // message and logged, and the download is retried the next time the media is requested.
+  async storeIncomingMedia(user, message) {
+    const media = message.content?.media;
+    if (!media?.mediaId) return message;
+
+    try {
+      const client = whatsappService.forUser(user);
+      const info = await client.getMediaUrl(media.mediaId);
+      const mimeType = info.mime_type || media.mimeType;
+      const storageKey = this.storageKey(message, mimeType);
+
+      // The file goes straight to storage, hashed and counted on the way
+      const body = await client.downloadMedia(info.url, { maxBytes: MAX_MEDIA_BYTES });
+      const meter = this.createMeter(MAX_MEDIA_BYTES);
+      body.on('error', error => meter.destroy(error));
+      await this.storage.save(storageKey, body.pipe(meter), { mimeType });
+
+      const sha256 = meter.hash.digest('hex');
+      const expected = info.sha256 || media.sha256;
+      if (expected && ![sha256, Buffer.from(sha256, 'hex').toString('base64')].includes(expected)) {
+        await this.storage.remove(storageKey);
+        throw new Error(`Checksum mismatch for media ${media.mediaId}`);
+      }
+
+      Object.assign(media, {
+        url: `/api/whatsapp/media/${message._id}`,
+        mimeType,
+        fileSize: meter.bytes,
+        sha256,
+        storage: this.storage.name,
+        storageKey,
+        downloadedAt: new Date(),
+        downloadError: undefined
+      });
+      logger.info(`Stored WhatsApp media ${media.mediaId} (${meter.bytes} bytes) for message ${message._id}`);
+    } catch (error) {
+      media.downloadError = error.message;
+      logger.error(`Failed to store WhatsApp media ${media.mediaId} for message ${message._id}:`, error);
+    }
+
+    message.markModified('content.media');
+    await message.save();
+    return message;
+  }
+
+  // Stream and headers for a stored message's media; downloads it first if that failed before
+  async getMedia(user, message) {
+    const media = message.content?.media;
+    if (!media?.mediaId && !media?.storageKey) {
+      throw Object.assign(new Error('Message has no media'), { status: 404 });
+    }
+
+    if (!media.storageKey || !await this.storage.exists(media.storageKey)) {
+      media.storageKey = undefined;
+      await this.storeIncomingMedia(user, message);
+      if (!media.storageKey) {
+        throw Object.assign(new Error(`Media is not available: ${media.downloadError || 'file missing from storage'}`), { status: 502 });
+      }
+    }
+
+    return {
+      stream: this.storage.createReadStream(media.storageKey),
+      mimeType: media.mimeType || 'application/octet-stream',
+      fileName: media.fileName,
+      fileSize: media.fileSize
+    };
+  }
+}
+
+module.exports = new MediaService();
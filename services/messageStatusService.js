@@ -0,0 +1,92 @@
+const Message = require('../models/Message');
+const Invoice = require('../models/Invoice');
+const logger = require('../config/logger');
+
+// Delivery statuses only ever move forward; callbacks can arrive out of order
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+class MessageStatusService {
+  // Statuses a message may be in for `status` to be applied
+  getPreviousStatuses(status) {
+    if (status === 'failed') return ['pending', 'sent'];
+    // Outgoing messages are stored as 'sent' when the API accepts them; the callback adds sentAt
+    if (status === 'sent') return ['pending', 'sent'];
+
+    const rank = STATUS_ORDER.indexOf(status);
+    return rank === -1 ? null : STATUS_ORDER.slice(0, rank);
+  }
+
+  // Applies a webhook status callback to the user's outgoing message
+  async applyStatus(user, status) {
+    const previousStatuses = this.getPreviousStatuses(status.status);
+    if (!previousStatuses) {
+      logger.warn(`Ignoring unknown WhatsApp status "${status.status}" for message ${status.messageId}`);
+      return null;
+    }
+
+    const update = {
+      'whatsapp.status': status.status,
+      [`whatsapp.${status.status}At`]: status.timestamp
+    };
+
+    if (status.pricing) {
+      update['whatsapp.pricing'] = {
+        category: status.pricing.category,
+        billable: status.pricing.billable
+      };
+    }
+
+    const [error] = status.errors || [];
+    if (error) {
+      update['whatsapp.error'] = {
+        code: error.code,
+        title: error.title,
+        message: error.message,
+        details: error.error_data?.details
+      };
+      logger.error(`WhatsApp message ${status.messageId} failed for user ${user._id}: ${error.code} ${error.title}`);
+    }
+
+    const message = await Message.findOneAndUpdate(
+      {
+        user: user._id,
+        'whatsapp.messageId': status.messageId,
+        'whatsapp.status': { $in: previousStatuses }
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!message) {
+      const exists = await Message.exists({ user: user._id, 'whatsapp.messageId': status.messageId });
+      if (!exists) {
+        logger.warn(`Status ${status.status} for unknown message ${status.messageId} (user ${user._id})`);
+      }
+    }
+
+    if (status.status === 'read') {
+      await this.markInvoiceViewed(user, status, message);
+    }
+
+    return message;
+  }
+
+  // An invoice counts as viewed the first time the message carrying it is read
+  async markInvoiceViewed(user, status, message) {
+    const invoice = await Invoice.findOne(message?.invoice
+      ? { _id: message.invoice, user: user._id }
+      : { user: user._id, 'whatsapp.messageId': status.messageId });
+
+    if (!invoice || invoice.whatsapp?.viewedAt) return;
+
+    invoice.whatsapp.viewedAt = status.timestamp;
+    if (invoice.status === 'sent') {
+      invoice.status = 'viewed';
+    }
+    await invoice.save();
+
+    logger.info(`Invoice ${invoice.invoiceNumber} viewed by customer`);
+  }
+}
+
+module.exports = new MessageStatusService();
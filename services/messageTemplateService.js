@@ -0,0 +1,314 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const whatsappService = require('./whatsappService');
+const logger = require('../config/logger');
+
+const { extractPlaceholders } = MessageTemplate;
+
+// Graph API template statuses mapped to ours
+const STATUS_MAP = {
+  APPROVED: 'approved',
+  PENDING: 'pending',
+  IN_APPEAL: 'pending',
+  REJECTED: 'rejected',
+  PAUSED: 'paused',
+  DISABLED: 'disabled',
+  PENDING_DELETION: 'disabled'
+};
+
+const SYNC_PAGE_SIZE = 100;
+
+// Manages a business's message templates and keeps them in step with the WhatsApp Business
+// Account's `message_templates` edge. Point WHATSAPP_API_URL at a stub server to work offline.
+class MessageTemplateService {
+  getBusinessAccountId(client) {
+    if (!client.businessAccountId) {
+      throw Object.assign(new Error('No WhatsApp Business Account ID configured'), { status: 400 });
+    }
+    return client.businessAccountId;
+  }
+
+  // Returns a list of problems with a template definition; empty when it can be submitted
+  validateDefinition(definition) {
+    const errors = [];
+    const { header, body, footer, buttons = [] } = definition.components || {};
+
+    if (!definition.name || !/^[a-z0-9_]{1,512}$/.test(definition.name)) {
+      errors.push('name must contain only lowercase letters, numbers and underscores');
+    }
+    if (!['MARKETING', 'UTILITY', 'AUTHENTICATION'].includes(definition.category)) {
+      errors.push('category must be MARKETING, UTILITY or AUTHENTICATION');
+    }
+    if (!body?.text) {
+      errors.push('components.body.text is required');
+    } else if (body.text.length > 1024) {
+      errors.push('components.body.text must be at most 1024 characters');
+    }
+    if (header?.format === 'TEXT' && (!header.text || header.text.length > 60)) {
+      errors.push('components.header.text is required for text headers and must be at most 60 characters');
+    }
+    if (footer?.text && footer.text.length > 60) {
+      errors.push('components.footer.text must be at most 60 characters');
+    }
+    if (buttons.length > 10) {
+      errors.push('a template can have at most 10 buttons');
+    }
+    buttons.forEach((button, index) => {
+      if (button.type === 'URL' && !button.url) errors.push(`buttons[${index}] needs a url`);
+      if (button.type === 'PHONE_NUMBER' && !button.phoneNumber) errors.push(`buttons[${index}] needs a phoneNumber`);
+    });
+
+    const placeholders = definition.placeholders || [];
+    const checkPlaceholders = (label, indices, component, buttonIndex) => {
+      if (indices.some((index, position) => index !== position + 1)) {
+        errors.push(`${label} placeholders must be numbered {{1}}, {{2}}, ... without gaps`);
+      }
+      indices.forEach(index => {
+        const placeholder = placeholders.find(item =>
+          (item.component || 'body') === component &&
+          item.index === index &&
+          (component !== 'button' || item.buttonIndex === buttonIndex));
+        if (!placeholder?.example) {
+          errors.push(`${label} placeholder {{${index}}} needs an example value`);
+        }
+      });
+    };
+
+    checkPlaceholders('body', extractPlaceholders(body?.text), 'body');
+    if (header?.format === 'TEXT') {
+      const headerPlaceholders = extractPlaceholders(header.text);
+      if (headerPlaceholders.length > 1) errors.push('text headers support a single placeholder');
+      checkPlaceholders('header', headerPlaceholders, 'header');
+    }
+    buttons.forEach((button, index) => {
+      if (button.type === 'URL') {
+        checkPlaceholders(`buttons[${index}]`, extractPlaceholders(button.url), 'button', index);
+      }
+    });
+
+    return errors;
+  }
+
+  async create(userId, definition) {
+    const errors = this.validateDefinition(definition);
+    if (errors.length > 0) {
+      throw Object.assign(new Error('Invalid template'), { status: 400, details: errors });
+    }
+
+    const existing = await MessageTemplate.findOne({ user: userId, name: definition.name, language: definition.language || 'en' });
+    if (existing) {
+      throw Object.assign(new Error('A template with this name and language already exists'), { status: 409 });
+    }
+
+    return await MessageTemplate.create({
+      user: userId,
+      name: definition.name,
+      language: definition.language || 'en',
+      category: definition.category,
+      description: definition.description,
+      components: definition.components,
+      placeholders: definition.placeholders
+    });
+  }
+
+  // Template as sent to POST {waba-id}/message_templates
+  toGraphTemplate(template) {
+    const { header, body, footer, buttons = [] } = template.components;
+    const examples = (component, buttonIndex) => (template.placeholders || [])
+      .filter(item => item.component === component && (component !== 'button' || item.buttonIndex === buttonIndex))
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.example);
+
+    const components = [];
+
+    if (header?.format) {
+      const headerComponent = { type: 'HEADER', format: header.format };
+      if (header.format === 'TEXT') {
+        headerComponent.text = header.text;
+        if (extractPlaceholders(header.text).length > 0) {
+          headerComponent.example = { header_text: examples('header') };
+        }
+      }
+      components.push(headerComponent);
+    }
+
+    const bodyComponent = { type: 'BODY', text: body.text };
+    if (extractPlaceholders(body.text).length > 0) {
+      bodyComponent.example = { body_text: [examples('body')] };
+    }
+    components.push(bodyComponent);
+
+    if (footer?.text) {
+      components.push({ type: 'FOOTER', text: footer.text });
+    }
+
+    if (buttons.length > 0) {
+      components.push({
+        type: 'BUTTONS',
+        buttons: buttons.map((button, index) => {
+          const graphButton = { type: button.type, text: button.text };
+          if (button.type === 'URL') {
+            graphButton.url = button.url;
+            if (extractPlaceholders(button.url).length > 0) graphButton.example = examples('button', index);
+          }
+          if (button.type === 'PHONE_NUMBER') graphButton.phone_number = button.phoneNumber;
+          return graphButton;
+        })
+      });
+    }
+
+    return {
+      name: template.name,
+      language: template.language,
+      category: template.category,
+      components
+    };
+  }
+
+  // Graph API components mapped back onto our schema, for templates created outside the app
+  fromGraphComponents(graphComponents = []) {
+    const components = {};
+    const placeholders = [];
+
+    graphComponents.forEach(component => {
+      switch (component.type) {
+        case 'HEADER':
+          components.header = { format: component.format, text: component.text };
+          (component.example?.header_text || []).forEach((example, index) => {
+            placeholders.push({ component: 'header', index: index + 1, example });
+          });
+          break;
+        case 'BODY':
+          components.body = { text: component.text };
+          (component.example?.body_text?.[0] || []).forEach((example, index) => {
+            placeholders.push({ component: 'body', index: index + 1, example });
+          });
+          break;
+        case 'FOOTER':
+          components.footer = { text: component.text };
+          break;
+        case 'BUTTONS':
+          components.buttons = (component.buttons || []).map((button, buttonIndex) => {
+            (button.example || []).forEach((example, index) => {
+              placeholders.push({ component: 'button', buttonIndex, index: index + 1, example });
+            });
+            return { type: button.type, text: button.text, url: button.url, phoneNumber: button.phone_number };
+          });
+          break;
+      }
+    });
+
+    return { components, placeholders };
+  }
+
+  // Sends a draft (or rejected) template to Meta for review
+  async submit(user, template) {
+    if (!['draft', 'rejected'].includes(template.status)) {
+      throw Object.assign(new Error(`Only draft or rejected templates can be submitted (template is ${template.status})`), { status: 400 });
+    }
+
+    const client = whatsappService.forUser(user);
+    const businessAccountId = this.getBusinessAccountId(client);
+
+    const graphTemplate = this.toGraphTemplate(template);
+    if (template.whatsappTemplateId) {
+      // Rejected templates are edited in place rather than created again
+      await client.makeRequest(template.whatsappTemplateId, 'POST', {
+        category: graphTemplate.category,
+        components: graphTemplate.components
+      });
+      template.status = 'pending';
+    } else {
+      const result = await client.makeRequest(`${businessAccountId}/message_templates`, 'POST', graphTemplate);
+      template.whatsappTemplateId = result.id;
+      template.status = STATUS_MAP[result.status] || 'pending';
+    }
+
+    template.rejectedReason = undefined;
+    template.submittedAt = new Date();
+    template.lastSyncedAt = new Date();
+    await template.save();
+
+    logger.info(`Template ${template.name} (${template.language}) submitted for review: ${template.whatsappTemplateId}`);
+    return template;
+  }
+
+  // Pulls every template on the business account and updates (or adds) local copies
+  async sync(user) {
+    const client = whatsappService.forUser(user);
+    const businessAccountId = this.getBusinessAccountId(client);
+    const summary = { updated: 0, created: 0, unchanged: 0 };
+
+    let after;
+    do {
+      const query = `fields=id,name,language,status,category,rejected_reason,components&limit=${SYNC_PAGE_SIZE}${after ? `&after=${encodeURIComponent(after)}` : ''}`;
+      const page = await client.makeRequest(`${businessAccountId}/message_templates?${query}`, 'GET');
+
+      for (const remote of page?.data || []) {
+        const outcome = await this.applyRemote(user._id, remote);
+        summary[outcome]++;
+      }
+
+      after = page?.paging?.next ? page.paging.cursors?.after : null;
+    } while (after);
+
+    logger.info(`Synced WhatsApp templates for user ${user._id}: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  async applyRemote(userId, remote) {
+    const status = STATUS_MAP[remote.status] || 'pending';
+    const rejectedReason = remote.rejected_reason && remote.rejected_reason !== 'NONE' ? remote.rejected_reason : undefined;
+
+    let template = await MessageTemplate.findOne({
+      user: userId,
+      $or: [{ whatsappTemplateId: remote.id }, { name: remote.name, language: remote.language }]
+    });
+
+    if (!template) {
+      template = new MessageTemplate({
+        user: userId,
+        name: remote.name,
+        language: remote.language,
+        category: remote.category,
+        ...this.fromGraphComponents(remote.components),
+        whatsappTemplateId: remote.id,
+        status,
+        rejectedReason,
+        lastSyncedAt: new Date()
+      });
+      await template.save();
+      return 'created';
+    }
+
+    const changed = template.status !== status ||
+      template.whatsappTemplateId !== remote.id ||
+      template.category !== remote.category ||
+      template.rejectedReason !== rejectedReason;
+
+    template.status = status;
+    template.whatsappTemplateId = remote.id;
+    template.category = remote.category || template.category;
+    template.rejectedReason = rejectedReason;
+    template.lastSyncedAt = new Date();
+    await template.save();
+
+    return changed ? 'updated' : 'unchanged';
+  }
+
+  // Deletes the template locally and, once submitted, from the business account
+  async remove(user, template) {
+    if (template.whatsappTemplateId) {
+      const client = whatsappService.forUser(user);
+      const businessAccountId = this.getBusinessAccountId(client);
+      await client.makeRequest(
+        `${businessAccountId}/message_templates?name=${encodeURIComponent(template.name)}&hsm_id=${template.whatsappTemplateId}`,
+        'DELETE'
+      );
+    }
+
+    await template.deleteOne();
+    logger.info(`Template ${template.name} (${template.language}) deleted`);
+  }
+}
+
+module.exports = new MessageTemplateService();
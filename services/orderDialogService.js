@@ -0,0 +1,383 @@
+const Product = require('../models/Product');
+const orderService = require('./orderService');
+const { normalize, similarity } = require('../utils/textMatching');
+const logger = require('../config/logger');
+
+// Lowest score offered as a candidate, and the score accepted without asking when no
+// other product comes within AMBIGUITY_MARGIN of it
+const MATCH_THRESHOLD = 0.75;
+const CONFIDENT_MATCH = 0.9;
+const AMBIGUITY_MARGIN = 0.08;
+const MAX_OPTIONS = 3;
+
+const UNITS = '(?:pcs?|pieces?|units?|nos?|packs?|packets?|boxes?|bottles?|bags?|dozens?)';
+// Weights and volumes, named as in Product.unit
+const MEASURES = {
+  kg: /^(?:kgs?|kilos?|kilograms?)$/i,
+  g: /^(?:g|gms?|grams?)$/i,
+  liter: /^(?:l|ltrs?|litres?|liters?)$/i,
+  ml: /^(?:ml)$/i
+};
+// Factors from one measure to another it can be given in
+const CONVERSIONS = { kg: { g: 1000 }, g: { kg: 0.001 }, liter: { ml: 1000 }, ml: { liter: 0.001 } };
+const MEASURE_UNITS = '(?:kgs?|kilos?|kilograms?|g|gms?|grams?|l|ltrs?|litres?|liters?|ml)';
+const ITEM_PATTERNS = [
+  // "2 x Basmati 5kg", "2x ghee"
+  { pattern: /^(\d+)\s*(?:x|×|\*)\s*(.+)$/i, quantity: 1, name: 2 },
+  // "3 pcs ghee", "2 packets of salt"
+  { pattern: new RegExp(`^(\\d+)\\s*${UNITS}\\.?\\s+(?:of\\s+)?(.+)$`, 'i'), quantity: 1, name: 2 },
+  // "2 kg sugar", "1 litre of oil"
+  { pattern: new RegExp(`^(\\d+)\\s*(${MEASURE_UNITS})\\.?\\s+(?:of\\s+)?(.+)$`, 'i'), quantity: 1, unit: 2, name: 3 },
+  // "ghee x 3", "ghee - 3 pcs", "sugar - 2 kg"
+  { pattern: new RegExp(`^(.+?)\\s*(?:x|×|\\*|-|:)\\s*(\\d+)\\s*(?:${UNITS}|(${MEASURE_UNITS}))?$`, 'i'), quantity: 2, unit: 3, name: 1 },
+  // "2 basmati"
+  { pattern: /^(\d+)\s+(.+)$/i, quantity: 1, name: 2 }
+];
+const LEAD_IN = /^(?:hi|hello|hey|please|pls|kindly|also|add|plus|i\s+want(?:\s+to\s+(?:order|buy))?|i\s+need|i'?d\s+like|send(?:\s+me)?|place\s+(?:an?\s+)?order\s+(?:for|of)|order)\b[\s:,-]*/i;
+
+const YES_WORDS = ['yes', 'y', 'yeah', 'yep', 'ok', 'okay', 'confirm', 'confirmed', 'sure', 'haan', 'ha', 'place order'];
+const NO_WORDS = ['no', 'n', 'nope', 'nahi', 'cancel order'];
+const SKIP_WORDS = ['skip', 'none', 'neither', 'remove'];
+
+// Takes an order over chat: parses items from free text, matches them to products, asks
+// about ambiguous ones, confirms the priced cart and delivery address, then creates the
+// order. Runs as the `order` flow of dialogService, which keeps the current step; the cart
+// itself is kept on Conversation.orderDraft.
+class OrderDialogService {
+  // "2 x Basmati 5kg, 3 pcs ghee" -> [{ quantity: 2, name: 'Basmati 5kg' }, { quantity: 3, name: 'ghee' }]
+  // "2 kg sugar" -> [{ quantity: 2, unit: 'kg', name: 'sugar' }]
+  parseItems(text) {
+    let remaining = (text || '').trim();
+    for (let i = 0; i < 3 && LEAD_IN.test(remaining); i++) {
+      remaining = remaining.replace(LEAD_IN, '');
+    }
+
+    return remaining
+      .split(/\n|,|;|&|\+|\band\b/i)
+      .map(segment => segment.trim().replace(/\s+(?:please|pls)$/i, ''))
+      .filter(Boolean)
+      .map(segment => {
+        for (const { pattern, quantity, unit, name } of ITEM_PATTERNS) {
+          const match = pattern.exec(segment);
+          if (match && parseInt(match[quantity]) > 0) {
+            const item = { quantity: parseInt(match[quantity]), name: match[name].trim(), explicitQuantity: true };
+            if (unit && match[unit]) {
+              item.unit = this.parseMeasure(match[unit]);
+            }
+            return item;
+          }
+        }
+        return { quantity: 1, name: segment, explicitQuantity: false };
+      });
+  }
+
+  // "litres" -> 'liter'
+  parseMeasure(word) {
+    return Object.keys(MEASURES).find(unit => MEASURES[unit].test(word));
+  }
+
+  // Quantity to order of `product` for a parsed item. Items given by weight or volume are
+  // converted to the product's unit; null when the product isn't sold by that kind of measure
+  // or the amount isn't a whole number of its units (e.g. "500 g" of a product sold per kg).
+  convertQuantity(item, product) {
+    if (!item.unit) return item.quantity;
+
+    const unit = product.unit || 'piece';
+    const factor = unit === item.unit ? 1 : CONVERSIONS[item.unit]?.[unit];
+    const quantity = factor && Math.round(item.quantity * factor * 1000) / 1000;
+    return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+  }
+
+  describeItem(item) {
+    return item.unit ? `${item.quantity} ${item.unit} ${item.name}` : item.name;
+  }
+
+  scoreProduct(query, product) {
+    if (normalize(query) === normalize(product.sku)) return 1;
+
+    const candidates = [product.name, ...(product.searchKeywords || [])];
+    return Math.max(...candidates.map(candidate => similarity(query, candidate)));
+  }
+
+  // Sorts parsed items into resolved, ambiguous (with options) and unmatched
+  async matchItems(userId, parsedItems) {
+    const result = { resolved: [], ambiguous: [], unmatched: [] };
+    if (parsedItems.length === 0) return result;
+
+    const products = await Product.find({ user: userId, isActive: true })
+      .select('name sku searchKeywords unit pricing inventory');
+
+    parsedItems.forEach(item => {
+      // Items ordered by weight or volume only match products sold that way
+      const candidates = products
+        .filter(product => this.convertQuantity(item, product) !== null)
+        .map(product => ({ product, score: this.scoreProduct(item.name, product) }))
+        .filter(candidate => candidate.score >= MATCH_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+
+      const [best, runnerUp] = candidates;
+      if (!best) {
+        result.unmatched.push(item);
+      } else if (!runnerUp || (best.score >= CONFIDENT_MATCH && best.score - runnerUp.score >= AMBIGUITY_MARGIN)) {
+        result.resolved.push({ ...item, product: best.product, quantity: this.convertQuantity(item, best.product) });
+      } else {
+        result.ambiguous.push({ ...item, options: candidates.slice(0, MAX_OPTIONS).map(candidate => candidate.product) });
+      }
+    });
+
+    return result;
+  }
+
+  // Starts a dialog for explicit order requests, or for messages that list quantities of
+  // products we sell ("2 x basmati")
+  async shouldStart(user, text, intent) {
+    if (intent === 'new_order') return true;
+
+    const items = this.parseItems(text).filter(item => item.explicitQuantity);
+    if (items.length === 0) return false;
+
+    const { resolved, ambiguous } = await this.matchItems(user._id, items);
+    return resolved.length + ambiguous.length > 0;
+  }
+
+  async start(context, text) {
+    context.conversation.orderDraft = { items: [], clarifications: [] };
+    return await this.addItems(context, text, { quiet: true });
+  }
+
+  async handle(context, text, step) {
+    if (step === 'confirming' && NO_WORDS.includes(normalize(text))) {
+      return { reply: "Okay, I've cancelled this order. Message us anytime to start a new one. 🙏", cancelled: true };
+    }
+
+    switch (step) {
+      case 'clarifying':
+        return await this.resolveClarification(context, text);
+      case 'awaiting_address':
+        return await this.setAddress(context, text);
+      case 'confirming':
+        return await this.confirm(context, text);
+      default:
+        return await this.addItems(context, text);
+    }
+  }
+
+  end(context) {
+    context.conversation.orderDraft = undefined;
+  }
+
+  async addItems(context, text, { quiet = false } = {}) {
+    const draft = context.conversation.orderDraft;
+    const { resolved, ambiguous, unmatched } = await this.matchItems(context.user._id, this.parseItems(text));
+
+    resolved.forEach(item => this.addToCart(draft, item.product, item.quantity));
+    ambiguous.forEach(item => draft.clarifications.push({
+      query: item.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      options: item.options.map(product => product._id)
+    }));
+
+    const notes = [];
+    if (unmatched.length > 0 && !(quiet && resolved.length + ambiguous.length === 0)) {
+      notes.push(`❓ I couldn't find: ${unmatched.map(item => this.describeItem(item)).join(', ')}`);
+    }
+
+    // A message that adds nothing is a failed answer, so repeated ones end the dialog
+    const outcome = await this.advance(context, notes);
+    return quiet || resolved.length + ambiguous.length > 0 ? outcome : { ...outcome, invalid: true };
+  }
+
+  addToCart(draft, product, quantity) {
+    const existing = draft.items.find(item => item.product.toString() === product._id.toString());
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      draft.items.push({ product: product._id, name: product.name, quantity });
+    }
+  }
+
+  async resolveClarification(context, text) {
+    const draft = context.conversation.orderDraft;
+    const [clarification] = draft.clarifications;
+    const ordered = await this.loadOptions(context.user, clarification);
+
+    const answer = normalize(text);
+    let chosen;
+    if (/^\d+$/.test(answer)) {
+      chosen = ordered[parseInt(answer) - 1];
+    } else if (!SKIP_WORDS.includes(answer)) {
+      chosen = ordered
+        .map(product => ({ product, score: this.scoreProduct(text, product) }))
+        .filter(candidate => candidate.score >= CONFIDENT_MATCH)
+        .sort((a, b) => b.score - a.score)[0]?.product;
+    }
+
+    if (!chosen && !SKIP_WORDS.includes(answer)) {
+      return {
+        invalid: true,
+        reply: `Please reply with a number from the list, or *skip*.\n\n${this.describeClarification(clarification, ordered)}`
+      };
+    }
+
+    draft.clarifications.shift();
+    if (chosen) {
+      this.addToCart(draft, chosen, this.convertQuantity(clarification, chosen));
+    }
+
+    return await this.advance(context);
+  }
+
+  async setAddress(context, text) {
+    const address = this.parseAddress(text);
+    if (!address) {
+      return { invalid: true, reply: '📍 Please send your full delivery address, including the PIN code.' };
+    }
+
+    context.conversation.orderDraft.address = address;
+    return await this.advance(context);
+  }
+
+  parseAddress(text) {
+    // Either a PIN code or a multi-part address ("12 MG Road, Indiranagar, Bangalore")
+    const street = (text || '').trim();
+    const postalCode = /\b\d{6}\b/.exec(street)?.[0];
+    if (street.length < 10 || (!postalCode && street.split(/,|\n/).filter(part => part.trim()).length < 3)) {
+      return null;
+    }
+
+    return { street, postalCode };
+  }
+
+  async confirm(context, text) {
+    const { user, customer, conversation } = context;
+    const draft = conversation.orderDraft;
+
+    if (!YES_WORDS.includes(normalize(text))) {
+      // More items, or a different delivery address
+      const { resolved, ambiguous } = await this.matchItems(user._id, this.parseItems(text));
+      if (resolved.length + ambiguous.length > 0) {
+        return await this.addItems(context, text);
+      }
+
+      const address = this.parseAddress(text);
+      if (address) {
+        draft.address = address;
+        return await this.advance(context);
+      }
+
+      return { invalid: true, reply: 'Reply *YES* to place the order, *NO* to cancel, or send a different delivery address.' };
+    }
+
+    const address = this.getAddress(draft, customer);
+    let order;
+    try {
+      order = await orderService.createOrder(user._id, {
+        customer: customer._id,
+        items: draft.items.map(item => ({ product: item.product, quantity: item.quantity })),
+        source: 'whatsapp',
+        shippingAddress: {
+          name: customer.name,
+          phone: customer.phone,
+          ...address
+        }
+      }, { checkStock: true });
+    } catch (error) {
+      if (!error.status) throw error;
+      // Stock may have run out since the cart was priced
+      return await this.advance(context, [`⚠️ ${error.message}`]);
+    }
+
+    if (!customer.address?.street && draft.address?.street) {
+      customer.address = { street: draft.address.street, postalCode: draft.address.postalCode };
+      await customer.save();
+    }
+
+    logger.info(`Order ${order.orderNumber} placed over WhatsApp chat by ${customer.phone}`);
+
+    return {
+      order,
+      reply: `✅ Thank you! Your order *${order.orderNumber}* has been placed.\n\n💰 Total: ₹${order.pricing.total.toFixed(2)}\n\nWe'll let you know as soon as it's confirmed.`
+    };
+  }
+
+  // Moves the draft to its next open question and asks it
+  async advance(context, notes = []) {
+    const { user, customer } = context;
+    const draft = context.conversation.orderDraft;
+    const prefix = notes.length > 0 ? `${notes.join('\n')}\n\n` : '';
+
+    if (draft.clarifications.length > 0) {
+      const [clarification] = draft.clarifications;
+      const options = await this.loadOptions(user, clarification);
+      return { step: 'clarifying', reply: `${prefix}${this.describeClarification(clarification, options)}` };
+    }
+
+    if (draft.items.length === 0) {
+      return {
+        step: 'collecting_items',
+        reply: `${prefix}🛒 What would you like to order? Send items with quantities, e.g. *2 x Basmati 5kg, 3 pcs ghee*.`
+      };
+    }
+
+    let priced;
+    try {
+      priced = await orderService.priceItems(
+        user._id,
+        draft.items.map(item => ({ product: item.product, quantity: item.quantity })),
+        { checkStock: true }
+      );
+    } catch (error) {
+      if (!error.status) throw error;
+
+      // Drop the item that can't be supplied and carry on with the rest
+      const index = draft.items.findIndex(item => error.product && item.product.toString() === error.product.toString());
+      draft.items.splice(index === -1 ? 0 : index, 1);
+      return await this.advance(context, [...notes, `⚠️ ${error.message}`]);
+    }
+
+    const itemsList = priced.items.map(item => `• ${item.productName} × ${item.quantity} = ₹${item.total.toFixed(2)}`).join('\n');
+    const total = priced.items.reduce((sum, item) => sum + item.total, 0);
+    const cart = `🛒 *Your order*\n${itemsList}\n\n💰 *Total: ₹${total.toFixed(2)}*`;
+
+    const address = this.getAddress(draft, customer);
+    if (!address) {
+      return { step: 'awaiting_address', reply: `${prefix}${cart}\n\n📍 Please send your delivery address, including the PIN code.` };
+    }
+
+    const addressLine = [address.street, address.city, address.state, address.postalCode]
+      .filter(Boolean)
+      .filter((part, index, parts) => !parts.slice(0, index).some(previous => previous.includes(part)))
+      .join(', ');
+    return {
+      step: 'confirming',
+      reply: `${prefix}${cart}\n\n📍 Deliver to: ${addressLine}\n\nReply *YES* to place the order, *NO* to cancel, or send a different address.`
+    };
+  }
+
+  // The clarification's candidate products, in the order they were offered
+  async loadOptions(user, clarification) {
+    const products = await Product.find({ _id: { $in: clarification.options }, user: user._id }).select('name sku unit');
+    return clarification.options
+      .map(id => products.find(product => product._id.toString() === id.toString()))
+      .filter(Boolean);
+  }
+
+  describeClarification(clarification, options) {
+    const list = options.map((product, index) => `${index + 1}. ${product.name}`).join('\n');
+    return `Which "${this.describeItem({ quantity: clarification.quantity, unit: clarification.unit, name: clarification.query })}" did you mean?\n${list}\n\nReply with a number, or *skip*.`;
+  }
+
+  getAddress(draft, customer) {
+    if (draft.address?.street) {
+      return { street: draft.address.street, postalCode: draft.address.postalCode };
+    }
+    if (customer.address?.street) {
+      const { street, city, state, postalCode, country } = customer.address;
+      return { street, city, state, postalCode, country };
+    }
+    return null;
+  }
+}
+
+module.exports = new OrderDialogService();
@@ -0,0 +1,46 @@
+const EventEmitter = require('events');
+const Customer = require('../models/Customer');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const ruleEngineService = require('./ruleEngineService');
+const whatsappService = require('./whatsappService');
+const logger = require('../config/logger');
+
+class OrderEventService extends EventEmitter {
+  // Emits `status_changed` and notifies the customer: matching order_status rules decide
+  // what gets sent, and the built-in status message is only used when no rule matches.
+  // Changes made by a rule (`fromRule`) don't run rules again, so rules can't trigger each
+  // other in a loop; the customer gets the built-in message instead.
+  async statusChanged(order, previousStatus, { fromRule = false } = {}) {
+    if (order.status === previousStatus) {
+      return { notified: false };
+    }
+
+    this.emit('status_changed', { order, previousStatus, status: order.status });
+
+    const [user, customer] = await Promise.all([
+      User.findById(order.user),
+      order.customer?.phone ? order.customer : Customer.findById(order.customer)
+    ]);
+
+    if (!user || !customer) {
+      logger.warn(`Cannot notify status change for order ${order.orderNumber}: owner or customer missing`);
+      return { notified: false };
+    }
+
+    if (!fromRule) {
+      const conversation = await Conversation.findOrCreateOpen(user._id, customer._id);
+      const ruleResult = await ruleEngineService.processOrderStatusChange(order, customer, conversation, user);
+
+      if (ruleResult.matched || ruleResult.skipped.length > 0) {
+        logger.info(`Order ${order.orderNumber} ${order.status} notification handled by automation rules`);
+        return { notified: ruleResult.matched, ruleResult };
+      }
+    }
+
+    await whatsappService.forUser(user).sendOrderStatusUpdate(customer.phone, order, order.status);
+    return { notified: true, fallback: true };
+  }
+}
+
+module.exports = new OrderEventService();
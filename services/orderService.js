@@ -0,0 +1,252 @@
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const logger = require('../config/logger');
+
+// Order creation shared by POST /api/orders and orders placed from the WhatsApp catalog
+class OrderService {
+  // Prices each item from the product (unless a price is given) and adds tax. Throws a 400
+  // error for unknown products, or with `checkStock` for products without enough stock.
+  async priceItems(userId, items, { checkStock = false } = {}) {
+    const processedItems = [];
+    const products = new Map();
+
+    for (const item of items || []) {
+      const product = await Product.findOne({ _id: item.product, user: userId });
+      if (!product) {
+        throw Object.assign(new Error(`Product not found: ${item.product}`), { status: 400 });
+      }
+
+      const reserved = (products.get(product._id.toString())?.reserved || 0) + item.quantity;
+      if (checkStock) {
+        this.checkStock(product, reserved);
+      }
+      products.set(product._id.toString(), { product, reserved });
+
+      const unitPrice = item.unitPrice || product.pricing.sellingPrice;
+      const discount = item.discount || 0;
+      const taxRate = item.tax?.rate || product.tax.rate;
+      const taxableAmount = (unitPrice * item.quantity) - discount;
+      const taxAmount = taxableAmount * (taxRate / 100);
+      const itemTotal = taxableAmount + taxAmount;
+
+      processedItems.push({
+        product: product._id,
+        productName: product.name,
+        sku: product.sku,
+        quantity: item.quantity,
+        unitPrice,
+        discount,
+        tax: { rate: taxRate, amount: taxAmount },
+        total: itemTotal,
+        notes: item.notes
+      });
+    }
+
+    return { items: processedItems, products: [...products.values()] };
+  }
+
+  checkStock(product, quantity) {
+    if (product.inventory.trackInventory && product.inventory.quantity < quantity) {
+      throw Object.assign(new Error(`Insufficient stock for ${product.name}: ${product.inventory.quantity} available`), {
+        status: 400,
+        product: product._id
+      });
+    }
+  }
+
+  // Pass `checkStock` to refuse items that are out of stock, and `reserveInventory: false` to
+  // create a draft: stock and customer totals are left alone until confirmDraft()
+  async createOrder(userId, orderData, { checkStock = false, reserveInventory = true } = {}) {
+    const customer = await Customer.findOne({
+      _id: orderData.customer,
+      user: userId
+    });
+
+    if (!customer) {
+      throw Object.assign(new Error('Customer not found'), { status: 400 });
+    }
+
+    const { items, products } = await this.priceItems(userId, orderData.items, { checkStock });
+    if (items.length === 0) {
+      throw Object.assign(new Error('Order has no items'), { status: 400 });
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.total, 0);
+    const shipping = orderData.pricing?.shipping || 0;
+    const packaging = orderData.pricing?.packaging || 0;
+    const amountPaid = orderData.pricing?.amountPaid || 0;
+
+    const order = new Order({
+      ...orderData,
+      user: userId,
+      items,
+      pricing: {
+        subtotal,
+        totalDiscount: items.reduce((sum, item) => sum + item.discount, 0),
+        totalTax: items.reduce((sum, item) => sum + item.tax.amount, 0),
+        shipping,
+        packaging,
+        total: subtotal + shipping + packaging,
+        amountPaid,
+        amountDue: subtotal + shipping + packaging - amountPaid
+      },
+      inventoryReserved: reserveInventory
+    });
+
+    await order.save();
+
+    // Update inventory for tracked products
+    if (reserveInventory) {
+      for (const { product, reserved } of products) {
+        if (product.inventory.trackInventory) {
+          product.inventory.quantity -= reserved;
+          await product.save();
+        }
+      }
+    }
+
+    if (reserveInventory) {
+      await this.addToCustomerTotals(customer, order);
+    }
+
+    logger.info(`New order created: ${order.orderNumber}`);
+    return order;
+  }
+
+  async addToCustomerTotals(customer, order) {
+    customer.totalOrders += 1;
+    customer.totalSpent += order.pricing.total;
+    customer.lastOrderDate = new Date();
+    await customer.save();
+  }
+
+  // Takes the items of an order created without reserving inventory out of stock and, when
+  // a pending draft is confirmed, counts it in the customer's totals.
+  // Throws a 400 error, leaving stock untouched, when any item is short.
+  async confirmDraft(order) {
+    if (order.inventoryReserved) return order;
+
+    const quantities = new Map();
+    order.items.forEach(item => {
+      const id = item.product.toString();
+      quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+    });
+
+    const products = await Product.find({ _id: { $in: [...quantities.keys()] }, user: order.user });
+    products.forEach(product => this.checkStock(product, quantities.get(product._id.toString())));
+
+    for (const product of products) {
+      if (product.inventory.trackInventory) {
+        product.inventory.quantity -= quantities.get(product._id.toString());
+        await product.save();
+      }
+    }
+
+    order.inventoryReserved = true;
+    await order.save();
+
+    if (order.status === 'pending') {
+      const customer = await Customer.findOne({ _id: order.customer?._id || order.customer, user: order.user });
+      if (customer) {
+        await this.addToCustomerTotals(customer, order);
+      }
+    }
+
+    return order;
+  }
+
+  // Moves an order to `status`, confirming cart drafts first, and records it in the tracking
+  // history. Returns the previous status; notifying the customer is left to the caller.
+  async changeStatus(order, status, { notes, tracking } = {}) {
+    if (!order.inventoryReserved && !['pending', 'cancelled', 'refunded'].includes(status)) {
+      await this.confirmDraft(order);
+    }
+
+    const previousStatus = order.status;
+    order.status = status;
+
+    if (notes) {
+      order.notes.internal = notes;
+    }
+
+    if (tracking) {
+      order.tracking = {
+        ...order.tracking,
+        ...tracking
+      };
+    }
+
+    // Add to tracking history
+    if (status !== previousStatus) {
+      order.tracking.history = order.tracking.history || [];
+      order.tracking.history.push({
+        status,
+        location: tracking?.location || '',
+        timestamp: new Date(),
+        notes: notes || ''
+      });
+    }
+
+    if (status === 'delivered') {
+      order.tracking.actualDelivery = new Date();
+    }
+
+    await order.save();
+    return previousStatus;
+  }
+
+  // Puts a cancelled order's items back in stock, if they were ever taken out
+  async releaseInventory(order) {
+    if (!order.inventoryReserved) return order;
+
+    for (const item of order.items) {
+      const product = await Product.findOne({ _id: item.product, user: order.user });
+      if (product && product.inventory.trackInventory) {
+        product.inventory.quantity += item.quantity;
+        await product.save();
+      }
+    }
+
+    order.inventoryReserved = false;
+    return order;
+  }
+
+  // Turns a WhatsApp catalog cart into a pending order. Catalog items are matched to products
+  // by SKU (the catalog's retailer ID) and priced from our own catalogue, not the cart.
+  // Stock is reserved only when the customer confirms the order.
+  async createFromWhatsAppCart(user, customer, cart) {
+    const skus = cart.items.map(item => item.retailerId);
+    const products = await Product.find({ user: user._id, sku: { $in: skus }, isActive: true });
+    const productsBySku = new Map(products.map(product => [product.sku, product]));
+
+    const unavailable = cart.items.filter(item => !productsBySku.has(item.retailerId));
+    const items = cart.items
+      .filter(item => productsBySku.has(item.retailerId))
+      .map(item => ({ product: productsBySku.get(item.retailerId)._id, quantity: item.quantity }));
+
+    if (items.length === 0) {
+      throw Object.assign(new Error('None of the items in the cart are available'), { status: 400, unavailable });
+    }
+
+    const order = await this.createOrder(user._id, {
+      customer: customer._id,
+      items,
+      source: 'whatsapp',
+      notes: { customer: cart.text },
+      shippingAddress: customer.address?.street ? {
+        name: customer.name,
+        phone: customer.phone,
+        street: customer.address.street,
+        city: customer.address.city,
+        state: customer.address.state,
+        postalCode: customer.address.postalCode,
+        country: customer.address.country
+      } : undefined
+    }, { reserveInventory: false });
+
+    return { order, unavailable };
+  }
+}
+
+module.exports = new OrderService();
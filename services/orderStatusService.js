@@ -0,0 +1,148 @@
+const Order = require('../models/Order');
+const { normalize } = require('../utils/textMatching');
+
+const RECENT_ORDERS = 5;
+const TRACKING_HISTORY_ENTRIES = 5;
+const LAST_ORDER_PATTERN = /\b(?:last|latest|recent|previous|most recent)\s+order\b/i;
+const ORDER_NUMBER_PATTERN = /\bORD\s*\/\s*(\d{4})\s*\/\s*(\d{1,6})\b/i;
+
+const STATUS_LABELS = {
+  pending: '🕒 Pending confirmation',
+  confirmed: '✅ Confirmed',
+  processing: '📦 Being prepared',
+  shipped: '🚚 Shipped',
+  delivered: '🎉 Delivered',
+  cancelled: '❌ Cancelled',
+  refunded: '↩️ Refunded'
+};
+
+// Answers customers asking where their order is
+class OrderStatusService {
+  // "ord/2410/42" -> "ORD/2410/0042"
+  findOrderNumber(text) {
+    const match = ORDER_NUMBER_PATTERN.exec(text || '');
+    return match ? `ORD/${match[1]}/${match[2].padStart(4, '0')}` : null;
+  }
+
+  // Only the customer's own orders are looked up: those placed for them, or shipped to the
+  // phone number they are messaging from
+  customerOrdersQuery(user, customer) {
+    return {
+      user: user._id,
+      $or: [{ customer: customer._id }, { 'shippingAddress.phone': customer.phone }]
+    };
+  }
+
+  async findCustomerOrder(user, customer, orderNumber) {
+    return await Order.findOne({ ...this.customerOrdersQuery(user, customer), orderNumber });
+  }
+
+  async findRecentOrders(user, customer) {
+    return await Order.find(this.customerOrdersQuery(user, customer))
+      .sort({ createdAt: -1 })
+      .limit(RECENT_ORDERS);
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN');
+  }
+
+  formatStatus(order) {
+    const lines = [
+      `📋 *Order ${order.orderNumber}*`,
+      `📅 Placed: ${this.formatDate(order.createdAt)}`,
+      `📦 Status: ${STATUS_LABELS[order.status] || order.status}`
+    ];
+
+    const tracking = order.tracking || {};
+    if (tracking.carrier || tracking.trackingNumber) {
+      lines.push(`🚚 ${[tracking.carrier, tracking.trackingNumber].filter(Boolean).join(' – ')}`);
+    }
+    if (tracking.trackingUrl) {
+      lines.push(`🔗 Track: ${tracking.trackingUrl}`);
+    }
+    if (tracking.actualDelivery) {
+      lines.push(`🏠 Delivered on ${this.formatDate(tracking.actualDelivery)}`);
+    } else if (tracking.estimatedDelivery && !['cancelled', 'refunded'].includes(order.status)) {
+      lines.push(`⏰ Expected by ${this.formatDate(tracking.estimatedDelivery)}`);
+    }
+
+    if (order.items?.length > 0) {
+      lines.push('', '*Items:*', ...order.items.map(item => `• ${item.productName} × ${item.quantity}`));
+      lines.push(`💰 Total: ₹${order.pricing.total.toFixed(2)}`);
+    }
+
+    // Latest updates, oldest first
+    const history = (tracking.history || []).slice(-TRACKING_HISTORY_ENTRIES);
+    if (history.length > 0) {
+      lines.push('', '*Updates:*', ...history.map(entry => {
+        const place = entry.location ? `, ${entry.location}` : '';
+        const notes = entry.notes ? ` – ${entry.notes}` : '';
+        return `• ${this.formatDate(entry.timestamp)}: ${STATUS_LABELS[entry.status] || entry.status}${place}${notes}`;
+      }));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Order lookup dialog. Answers straight away for an order number, "my last order" or a
+  // customer with a single order; otherwise lists their recent orders to pick from.
+  async startLookup(context, text) {
+    const { user, customer } = context;
+    if (this.findOrderNumber(text)) {
+      return await this.handleLookup(context, text);
+    }
+
+    const orders = await this.findRecentOrders(user, customer);
+    if (orders.length === 0) {
+      return {
+        reply: "I couldn't find any orders placed from this number. If you ordered from a different number, please share your order number and our team will help."
+      };
+    }
+
+    if (orders.length === 1 || LAST_ORDER_PATTERN.test(text)) {
+      return { reply: this.formatStatus(orders[0]), order: orders[0] };
+    }
+
+    const list = orders
+      .map((order, index) => `${index + 1}. *${order.orderNumber}* – ${this.formatDate(order.createdAt)} – ${STATUS_LABELS[order.status] || order.status}`)
+      .join('\n');
+    return {
+      step: 'choose_order',
+      reply: `Here are your recent orders:\n${list}\n\nReply with a number from the list, or send an order number (e.g. *ORD/2410/0042*).`
+    };
+  }
+
+  async handleLookup({ user, customer }, text, step) {
+    const orderNumber = this.findOrderNumber(text);
+    if (orderNumber) {
+      const order = await this.findCustomerOrder(user, customer, orderNumber);
+      if (!order) {
+        return {
+          invalid: true,
+          reply: `I couldn't find order *${orderNumber}* for this number. Please check it and send it again.`
+        };
+      }
+      return { reply: this.formatStatus(order), order };
+    }
+
+    // A pick from the recent orders list; the list is re-read, newest first as shown
+    const answer = normalize(text);
+    if ((step === 'choose_order' && /^\d+$/.test(answer)) || LAST_ORDER_PATTERN.test(text)) {
+      const orders = await this.findRecentOrders(user, customer);
+      const order = orders[/^\d+$/.test(answer) ? parseInt(answer) - 1 : 0];
+      if (order) {
+        return { reply: this.formatStatus(order), order };
+      }
+    }
+
+    return {
+      invalid: true,
+      reply: step === 'choose_order'
+        ? 'Please reply with a number from the list, or send an order number (e.g. *ORD/2410/0042*).'
+        : "That doesn't look like an order number. Please send it as shown on your order, e.g. *ORD/2410/0042*."
+    };
+  }
+}
+
+module.exports = new OrderStatusService();
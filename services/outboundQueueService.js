@@ -0,0 +1,122 @@
+const logger = require('../config/logger');
+
+const DEFAULT_MESSAGES_PER_SECOND = 10;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// In-process send throttle: paces sends per WhatsApp phone number ID and retries transient
+// Graph API failures. Nothing is persisted; waiting sends live in this process's memory, are
+// lost on restart, and each server instance paces its own sends.
+// When a Message document is given, every attempt and the final outcome are recorded on it.
+class OutboundQueueService {
+  constructor() {
+    const rate = parseFloat(process.env.WHATSAPP_MESSAGES_PER_SECOND) || DEFAULT_MESSAGES_PER_SECOND;
+    this.intervalMs = Math.ceil(1000 / rate);
+    // Bulk sends are started about a second's worth at a time
+    this.batchSize = Math.max(1, Math.floor(rate));
+    // phoneNumberId -> time the next send on that number may start
+    this.nextSlotAt = new Map();
+  }
+
+  // Reserves the next free send slot for a number and waits for it
+  async waitForSlot(phoneNumberId) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt.get(phoneNumberId) || 0);
+    this.nextSlotAt.set(phoneNumberId, slot + this.intervalMs);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  // Holds back every send on a number, e.g. after the API reports a rate limit
+  pause(phoneNumberId, ms) {
+    const resumeAt = Date.now() + ms;
+    if ((this.nextSlotAt.get(phoneNumberId) || 0) < resumeAt) {
+      this.nextSlotAt.set(phoneNumberId, resumeAt);
+    }
+  }
+
+  // Runs `worker` over `items` one batch at a time, so a bulk send keeps a batch of sends
+  // waiting in memory rather than one per recipient. Resolves with the results in order.
+  async mapInBatches(items, worker, batchSize = this.batchSize) {
+    const results = [];
+    for (let start = 0; start < items.length; start += batchSize) {
+      results.push(...await Promise.all(items.slice(start, start + batchSize).map(worker)));
+    }
+    return results;
+  }
+
+  async send(phoneNumberId, request, { messageDoc, maxRetries = MAX_RETRIES } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForSlot(phoneNumberId);
+
+      const startedAt = Date.now();
+      try {
+        const result = await request();
+        this.recordAttempt(messageDoc, { attempt, startedAt });
+
+        if (messageDoc) {
+          messageDoc.whatsapp.messageId = result.messages?.[0]?.id;
+          messageDoc.whatsapp.status = 'sent';
+          messageDoc.whatsapp.sentAt = new Date();
+          await messageDoc.save();
+        }
+
+        return result;
+      } catch (error) {
+        this.recordAttempt(messageDoc, { attempt, startedAt, error });
+
+        if (!error.retryable || attempt > maxRetries) {
+          await this.markFailed(messageDoc, error);
+          throw error;
+        }
+
+        const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+        if (error.rateLimited) {
+          this.pause(phoneNumberId, backoff);
+        }
+        logger.warn(`WhatsApp send on ${phoneNumberId} attempt ${attempt} failed (${error.code || error.status || 'network'}), retrying in ${backoff}ms: ${error.message}`);
+
+        await new Promise(resolve => setTimeout(resolve, backoff));
+      }
+    }
+  }
+
+  recordAttempt(messageDoc, { attempt, startedAt, error }) {
+    if (!messageDoc) return;
+
+    messageDoc.whatsapp.attempts.push({
+      attempt,
+      attemptedAt: new Date(startedAt),
+      success: !error,
+      statusCode: error?.status,
+      errorCode: error?.code,
+      error: error?.message,
+      retryable: error?.retryable,
+      durationMs: Date.now() - startedAt
+    });
+  }
+
+  async markFailed(messageDoc, error) {
+    if (!messageDoc) return;
+
+    messageDoc.whatsapp.status = 'failed';
+    messageDoc.whatsapp.failedAt = new Date();
+    messageDoc.whatsapp.error = {
+      code: error.code,
+      title: error.type,
+      message: error.message,
+      details: error.details
+    };
+
+    try {
+      await messageDoc.save();
+    } catch (saveError) {
+      logger.error('Failed to record failed WhatsApp send:', saveError);
+    }
+  }
+}
+
+module.exports = new OutboundQueueService();
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const AutomationRule = require('../models/AutomationRule');
+const actionExecutorService = require('./actionExecutorService');
+const ruleExecutionService = require('./ruleExecutionService');
+const conditionEvaluatorService = require('./conditionEvaluatorService');
+const logger = require('../config/logger');
+const { getZonedParts, getNextMidnight, isTimeInWindow } = require('../utils/dateTime');
+
+// Rule types that are evaluated against incoming message text
+const MESSAGE_RULE_TYPES = ['keyword', 'message_pattern', 'intent'];
+
+class RuleEngineService {
+  async getActiveRules(userId, types) {
+    return await AutomationRule.find({
+      user: userId,
+      isActive: true,
+      type: { $in: types }
+    }).sort({ priority: -1, createdAt: 1 });
+  }
+
+  async processIncomingMessage(message, customer, conversation, user, options = {}) {
+    const text = message.content?.text || '';
+    const rules = await this.getActiveRules(user._id, MESSAGE_RULE_TYPES);
+    const matching = rules.filter(rule => this.matchesMessage(rule, text, options.intent));
+
+    return await this.runFirstMatchingRule(matching, { message, customer, conversation, user });
+  }
+
+  async processOrderStatusChange(order, customer, conversation, user) {
+    const rules = await this.getActiveRules(user._id, ['order_status']);
+    const matching = rules.filter(rule => (rule.trigger?.orderStatuses || []).includes(order.status));
+
+    return await this.runFirstMatchingRule(matching, { order, customer, conversation, user });
+  }
+
+  // Executes the highest priority rule whose conditions pass; rules held back by constraints are skipped
+  async runFirstMatchingRule(rules, context) {
+    const skipped = [];
+
+    for (const rule of rules) {
+      const evaluation = await this.evaluateConditions(rule, context);
+      if (!evaluation.passed) {
+        logger.debug(`Rule "${rule.name}" matched but its conditions were not met`);
+        continue;
+      }
+
+      const result = await this.executeRule(rule, context, { conditions: evaluation.trace });
+      if (result.skipped) {
+        skipped.push({ rule: rule._id, reason: result.reason });
+        continue;
+      }
+
+      return { matched: true, rule, ...result };
+    }
+
+    return { matched: false, skipped };
+  }
+
+  isMessageRule(rule) {
+    return MESSAGE_RULE_TYPES.includes(rule.type);
+  }
+
+  matchesMessage(rule, text, intent) {
+    if (rule.type === 'intent') {
+      return Boolean(intent) && (rule.trigger?.intents || []).includes(intent);
+    }
+    return this.matchesKeywords(rule.trigger || {}, text);
+  }
+
+  matchesKeywords(trigger, text) {
+    const keywords = trigger.keywords || [];
+    const caseSensitive = Boolean(trigger.caseSensitive);
+    const haystack = caseSensitive ? text.trim() : text.trim().toLowerCase();
+
+    return keywords.some(keyword => {
+      if (!keyword) return false;
+
+      if (trigger.matchType === 'regex') {
+        try {
+          return new RegExp(keyword, caseSensitive ? '' : 'i').test(text);
+        } catch (error) {
+          logger.warn(`Invalid regex in automation rule keyword "${keyword}": ${error.message}`);
+          return false;
+        }
+      }
+
+      const needle = caseSensitive ? keyword.trim() : keyword.trim().toLowerCase();
+
+      switch (trigger.matchType) {
+        case 'exact':
+          return haystack === needle;
+        case 'starts_with':
+          return haystack.startsWith(needle);
+        case 'ends_with':
+          return haystack.endsWith(needle);
+        case 'contains':
+        default:
+          return haystack.includes(needle);
+      }
+    });
+  }
+
+  async checkConditions(rule, context) {
+    const evaluation = await this.evaluateConditions(rule, context);
+    return evaluation.passed;
+  }
+
+  async evaluateConditions(rule, context, now = new Date()) {
+    return await conditionEvaluatorService.evaluate(rule, context, now);
+  }
+
+  getTimeZone(rule) {
+    return rule.trigger?.schedule?.timezone;
+  }
+
+  // Returns the reason a rule may not run at `now`, or null when it may. Pass
+  // `dailyLimit: false` to leave out the daily limit, whose count only holds for today.
+  getConstraintViolation(rule, now = new Date(), { dailyLimit: checkDailyLimit = true } = {}) {
+    const constraints = rule.constraints || {};
+    const timeZone = this.getTimeZone(rule);
+    const local = getZonedParts(now, timeZone);
+
+    // Blackout dates are stored as instants (usually local midnight), so compare them as
+    // calendar days in the rule's time zone too
+    const blackout = (constraints.blackoutDates || []).some(date =>
+      getZonedParts(new Date(date), timeZone).date === local.date
+    );
+    if (blackout) {
+      return `blackout date ${local.date}`;
+    }
+
+    const { timeWindow } = constraints;
+    if (timeWindow?.enabled && timeWindow.startTime && timeWindow.endTime &&
+        !isTimeInWindow(local.time, timeWindow.startTime, timeWindow.endTime)) {
+      return `outside time window ${timeWindow.startTime}-${timeWindow.endTime} (local time ${local.time})`;
+    }
+
+    const { dailyLimit } = constraints;
+    if (checkDailyLimit && dailyLimit?.enabled && dailyLimit.resetAt && now < dailyLimit.resetAt &&
+        (dailyLimit.currentCount || 0) >= dailyLimit.maxMessages) {
+      return `daily limit of ${dailyLimit.maxMessages} reached`;
+    }
+
+    return null;
+  }
+
+  // Atomically counts one execution against the daily limit; false when the cap is reached
+  async reserveDailySlot(rule, now = new Date()) {
+    const dailyLimit = rule.constraints?.dailyLimit;
+    if (!dailyLimit?.enabled) return true;
+
+    // Start a fresh count once the previous day has rolled over
+    const reset = await AutomationRule.updateOne(
+      {
+        _id: rule._id,
+        $or: [
+          { 'constraints.dailyLimit.resetAt': null },
+          { 'constraints.dailyLimit.resetAt': { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          'constraints.dailyLimit.currentCount': 1,
+          'constraints.dailyLimit.resetAt': getNextMidnight(now, this.getTimeZone(rule))
+        }
+      }
+    );
+    if (reset.modifiedCount > 0) {
+      return (dailyLimit.maxMessages || 0) >= 1;
+    }
+
+    const increment = await AutomationRule.updateOne(
+      {
+        _id: rule._id,
+        'constraints.dailyLimit.currentCount': { $lt: dailyLimit.maxMessages || 0 }
+      },
+      { $inc: { 'constraints.dailyLimit.currentCount': 1 } }
+    );
+    return increment.modifiedCount > 0;
+  }
+
+  async executeRule(rule, context, options = {}) {
+    const now = new Date();
+    const conditions = options.conditions || (await this.evaluateConditions(rule, context)).trace;
+
+    let skipReason = this.getConstraintViolation(rule, now);
+    if (!skipReason && !(await this.reserveDailySlot(rule, now))) {
+      skipReason = `daily limit of ${rule.constraints.dailyLimit.maxMessages} reached`;
+    }
+
+    if (skipReason) {
+      logger.info(`Automation rule "${rule.name}" skipped: ${skipReason}`);
+      await ruleExecutionService.record(rule, context, { status: 'skipped', skipReason, conditions });
+      return { skipped: true, reason: skipReason };
+    }
+
+    await AutomationRule.updateOne(
+      { _id: rule._id },
+      {
+        $inc: { 'statistics.triggeredCount': 1 },
+        $set: { 'statistics.lastTriggeredAt': new Date() }
+      }
+    );
+
+    // Delayed actions add their results to this execution when they run
+    const executionId = new mongoose.Types.ObjectId();
+    const results = await actionExecutorService.executeActions(rule, context, { executionId });
+    const success = results.every(step => step.status !== 'failed');
+
+    await AutomationRule.updateOne(
+      { _id: rule._id },
+      { $inc: { [success ? 'statistics.successCount' : 'statistics.failureCount']: 1 } }
+    );
+
+    logger.info(`Automation rule "${rule.name}" executed (${success ? 'success' : 'failure'})`);
+
+    await ruleExecutionService.record(rule, context, {
+      executionId,
+      status: success ? 'success' : 'failure',
+      conditions,
+      actions: results,
+      durationMs: Date.now() - now.getTime()
+    });
+
+    return { success, results };
+  }
+}
+
+module.exports = new RuleEngineService();
@@ -0,0 +1,93 @@
+const AutomationRule = require('../models/AutomationRule');
+const RuleExecution = require('../models/RuleExecution');
+const logger = require('../config/logger');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RuleExecutionService {
+  getTriggerType(rule, context) {
+    if (context.trigger) return context.trigger;
+    if (rule.type === 'order_status') return 'order_status';
+    if (rule.type === 'scheduled') return 'scheduled';
+    return context.message ? 'message' : 'manual';
+  }
+
+  // Stores one execution of a rule; never throws so logging can't break automation
+  async record(rule, context, outcome) {
+    if (rule.logging?.enabled === false) return null;
+
+    try {
+      const execution = new RuleExecution({
+        _id: outcome.executionId,
+        user: rule.user,
+        rule: rule._id,
+        ruleName: rule.name,
+        ruleType: rule.type,
+        trigger: {
+          type: this.getTriggerType(rule, context),
+          message: context.message?._id,
+          order: context.order?._id,
+          invoice: context.invoice?._id,
+          customer: context.customer?._id,
+          conversation: context.conversation?._id
+        },
+        status: outcome.status,
+        skipReason: outcome.skipReason,
+        matchedConditions: outcome.conditions || [],
+        actions: outcome.actions || [],
+        durationMs: outcome.durationMs
+      });
+      await execution.save();
+      return execution;
+    } catch (error) {
+      logger.error(`Failed to record execution of rule "${rule.name}":`, error);
+      return null;
+    }
+  }
+
+  // Adds the results of actions that ran later (after a delay, or a webhook retry) to the
+  // execution that scheduled them; never throws
+  async appendActions(executionId, steps) {
+    if (!executionId || steps.length === 0) return;
+
+    try {
+      const update = { $push: { actions: { $each: steps } } };
+      if (steps.some(step => step.status === 'failed')) {
+        update.$set = { status: 'failure' };
+      }
+      await RuleExecution.updateOne({ _id: executionId }, update);
+    } catch (error) {
+      logger.error(`Failed to record delayed actions of rule execution ${executionId}:`, error);
+    }
+  }
+
+  // Removes executions older than each rule's logging.retentionDays
+  async purgeExpired(now = new Date()) {
+    const groups = await AutomationRule.aggregate([
+      { $group: { _id: '$logging.retentionDays', rules: { $push: '$_id' } } }
+    ]);
+
+    let deleted = 0;
+    for (const group of groups) {
+      const retentionDays = group._id ?? DEFAULT_RETENTION_DAYS;
+      const result = await RuleExecution.deleteMany({
+        rule: { $in: group.rules },
+        createdAt: { $lt: new Date(now.getTime() - retentionDays * DAY_MS) }
+      });
+      deleted += result.deletedCount;
+    }
+
+    // Executions of deleted rules fall back to the default retention
+    const orphaned = await RuleExecution.deleteMany({
+      rule: { $nin: groups.flatMap(group => group.rules) },
+      createdAt: { $lt: new Date(now.getTime() - DEFAULT_RETENTION_DAYS * DAY_MS) }
+    });
+    deleted += orphaned.deletedCount;
+
+    logger.info(`Purged ${deleted} expired automation rule execution(s)`);
+    return deleted;
+  }
+}
+
+module.exports = new RuleExecutionService();
@@ -0,0 +1,120 @@
+const cron = require('node-cron');
+const AutomationRule = require('../models/AutomationRule');
+const Customer = require('../models/Customer');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const ruleEngineService = require('./ruleEngineService');
+const logger = require('../config/logger');
+const { resolveTimeZone } = require('../utils/dateTime');
+
+class RuleSchedulerService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // Re-registers every active scheduled rule, e.g. after a server restart
+  async init() {
+    const rules = await AutomationRule.find({ type: 'scheduled', isActive: true });
+    rules.forEach(rule => this.register(rule));
+    logger.info(`Registered ${this.jobs.size} scheduled automation rule(s)`);
+  }
+
+  validateSchedule(schedule) {
+    if (!schedule?.cronExpression) {
+      return 'trigger.schedule.cronExpression is required for scheduled rules';
+    }
+    if (!cron.validate(schedule.cronExpression)) {
+      return `Invalid cron expression: ${schedule.cronExpression}`;
+    }
+    return null;
+  }
+
+  // Creates, replaces or removes the job for a rule to match its current state
+  register(rule) {
+    this.unregister(rule._id);
+
+    if (rule.type !== 'scheduled' || !rule.isActive) return false;
+
+    const error = this.validateSchedule(rule.trigger?.schedule);
+    if (error) {
+      logger.warn(`Scheduled rule "${rule.name}" not registered: ${error}`);
+      return false;
+    }
+
+    const task = cron.schedule(
+      rule.trigger.schedule.cronExpression,
+      () => this.runRule(rule._id),
+      { timezone: resolveTimeZone(rule.trigger.schedule.timezone) }
+    );
+    this.jobs.set(rule._id.toString(), task);
+
+    logger.info(`Scheduled rule "${rule.name}" registered (${rule.trigger.schedule.cronExpression})`);
+    return true;
+  }
+
+  unregister(ruleId) {
+    const key = ruleId.toString();
+    const task = this.jobs.get(key);
+    if (task) {
+      task.stop();
+      this.jobs.delete(key);
+    }
+  }
+
+  async runRule(ruleId) {
+    try {
+      // Re-read the rule so each run uses its latest actions and conditions
+      const rule = await AutomationRule.findById(ruleId);
+      if (!rule || !rule.isActive || rule.type !== 'scheduled') {
+        this.unregister(ruleId);
+        return;
+      }
+
+      const user = await User.findById(rule.user);
+      if (!user) {
+        logger.error(`Owner of scheduled rule "${rule.name}" not found`);
+        return;
+      }
+
+      const audience = await this.getAudience(rule, user);
+      let executed = 0;
+
+      for (const customer of audience) {
+        try {
+          // Sending actions open a conversation when there is none
+          const conversation = await Conversation.findOpen(user._id, customer._id);
+          const result = await ruleEngineService.executeRule(rule, { customer, conversation, user });
+
+          // Stop once the rule's constraints (e.g. its daily limit) hold it back
+          if (result.skipped) break;
+          executed += 1;
+        } catch (error) {
+          logger.error(`Scheduled rule "${rule.name}" failed for customer ${customer.phone}:`, error);
+        }
+      }
+
+      logger.info(`Scheduled rule "${rule.name}" ran for ${executed} of ${audience.length} customer(s)`);
+    } catch (error) {
+      logger.error(`Error running scheduled rule ${ruleId}:`, error);
+    }
+  }
+
+  // Customers targeted by the rule: the owner's active customers that satisfy its conditions
+  async getAudience(rule, user) {
+    const customers = await Customer.find({
+      user: rule.user,
+      isActive: true,
+      'communicationPreferences.marketing': { $ne: false }
+    });
+
+    const audience = [];
+    for (const customer of customers) {
+      if (await ruleEngineService.checkConditions(rule, { customer, user })) {
+        audience.push(customer);
+      }
+    }
+    return audience;
+  }
+}
+
+module.exports = new RuleSchedulerService();
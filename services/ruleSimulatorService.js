@@ -0,0 +1,138 @@
+const Message = require('../models/Message');
+const Customer = require('../models/Customer');
+const Conversation = require('../models/Conversation');
+const Order = require('../models/Order');
+const ruleEngineService = require('./ruleEngineService');
+const actionExecutorService = require('./actionExecutorService');
+const aiAutomationService = require('./aiAutomationService');
+
+// Dry-runs automation rules: nothing here sends messages or writes to the database
+class RuleSimulatorService {
+  async buildContext(user, input = {}) {
+    const context = { user };
+
+    if (input.customer && typeof input.customer === 'object') {
+      context.customer = { name: 'Sample Customer', tags: [], ...input.customer };
+    } else if (input.customer) {
+      context.customer = await Customer.findOne({ _id: input.customer, user: user._id });
+      if (!context.customer) {
+        throw Object.assign(new Error('Customer not found'), { status: 400 });
+      }
+      context.conversation = await Conversation.findOne({
+        user: user._id,
+        customer: context.customer._id,
+        status: { $ne: 'closed' }
+      });
+    }
+
+    if (input.order && typeof input.order === 'object') {
+      context.order = input.order;
+    } else if (input.order) {
+      context.order = await Order.findOne({ _id: input.order, user: user._id });
+      if (!context.order) {
+        throw Object.assign(new Error('Order not found'), { status: 400 });
+      }
+    }
+
+    if (input.messageText !== undefined) {
+      context.message = { type: 'text', content: { text: input.messageText } };
+    }
+
+    return context;
+  }
+
+  async simulate(rule, user, input) {
+    const context = await this.buildContext(user, input);
+    return await this.evaluate(rule, context);
+  }
+
+  // options: the message's `intent`, and `now` to evaluate time-dependent conditions and
+  // constraints at another time; the daily limit is only checked for the current time
+  async evaluate(rule, context, { intent, now } = {}) {
+    const trigger = this.evaluateTrigger(rule, context, intent);
+    const conditions = await ruleEngineService.evaluateConditions(rule, context, now);
+    const constraintViolation = ruleEngineService.getConstraintViolation(rule, now, { dailyLimit: !now });
+
+    return {
+      wouldFire: rule.isActive !== false && trigger.matched && conditions.passed && !constraintViolation,
+      isActive: rule.isActive !== false,
+      trigger,
+      conditions,
+      constraints: {
+        passed: !constraintViolation,
+        reason: constraintViolation
+      },
+      actions: actionExecutorService.renderActions(rule.actions, context)
+    };
+  }
+
+  evaluateTrigger(rule, context, intent) {
+    if (ruleEngineService.isMessageRule(rule)) {
+      const text = context.message?.content?.text || '';
+      const detectedIntent = intent || aiAutomationService.detectIntent(text.toLowerCase());
+      return {
+        type: rule.type,
+        matched: ruleEngineService.matchesMessage(rule, text, detectedIntent),
+        intent: detectedIntent
+      };
+    }
+
+    if (rule.type === 'order_status') {
+      return {
+        type: rule.type,
+        matched: Boolean(context.order) && (rule.trigger?.orderStatuses || []).includes(context.order.status),
+        orderStatus: context.order?.status
+      };
+    }
+
+    if (rule.type === 'scheduled') {
+      // Scheduled rules fire on their cron; only the audience conditions decide per customer
+      return { type: rule.type, matched: true, cronExpression: rule.trigger?.schedule?.cronExpression };
+    }
+
+    return { type: rule.type, matched: false, reason: `Rules of type ${rule.type} are not executed by the rule engine` };
+  }
+
+  // Replays the last incoming messages against a rule to show how often it would have fired
+  async replay(rule, user, limit = 50) {
+    if (!ruleEngineService.isMessageRule(rule)) {
+      throw Object.assign(new Error('Replay is only supported for message-triggered rules'), { status: 400 });
+    }
+
+    const messages = await Message.find({ user: user._id, direction: 'incoming' })
+      .populate('customer')
+      .populate('conversation')
+      .sort('-createdAt')
+      .limit(Math.min(parseInt(limit) || 50, 500));
+
+    const results = [];
+    for (const message of messages) {
+      const simulation = await this.evaluate(rule, {
+        user,
+        message,
+        customer: message.customer,
+        conversation: message.conversation
+      }, { intent: message.processing?.intent, now: message.createdAt });
+
+      results.push({
+        message: message._id,
+        text: message.content?.text,
+        customer: message.customer && { _id: message.customer._id, name: message.customer.name },
+        receivedAt: message.createdAt,
+        // Evaluated as of when the message arrived; the rule's active flag is left out
+        wouldFire: simulation.trigger.matched && simulation.conditions.passed && simulation.constraints.passed,
+        triggerMatched: simulation.trigger.matched,
+        failedConditions: simulation.conditions.trace.filter(entry => !entry.passed),
+        constraintViolation: simulation.constraints.reason
+      });
+    }
+
+    return {
+      total: results.length,
+      triggered: results.filter(result => result.wouldFire).length,
+      results
+    };
+  }
+}
+
+module.exports = new RuleSimulatorService();
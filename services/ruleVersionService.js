@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const AutomationRule = require('../models/AutomationRule');
+const RuleVersion = require('../models/RuleVersion');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const actionExecutorService = require('./actionExecutorService');
+const ruleSchedulerService = require('./ruleSchedulerService');
+const automationTemplates = require('../config/automationTemplates');
+
+// Fields that make up a rule's definition; statistics and ownership are not versioned
+const VERSIONED_FIELDS = [
+  'name', 'description', 'type', 'isActive', 'priority', 'trigger',
+  'conditions', 'conditionLogic', 'actions', 'constraints', 'logging'
+];
+
+// Action params that point at documents of one account. Imported rules keep them only when
+// they belong to the importing account; agents fall back to the account itself.
+const ACCOUNT_REFERENCES = {
+  assign_agent: { agentId: 'team' },
+  create_task: { assignee: 'team' },
+  update_order: { orderId: Order },
+  send_invoice: { invoiceId: Invoice }
+};
+
+const EXPORT_FORMAT = 'whatsapp-automation-rules';
+const EXPORT_FORMAT_VERSION = 1;
+
+class RuleVersionService {
+  // Plain, id-free copy of a rule definition, safe to store, diff and move between accounts.
+  // Webhook secrets are masked unless `redact` is false.
+  snapshot(rule, { redact = true } = {}) {
+    const source = typeof rule.toObject === 'function' ? rule.toObject({ depopulate: true }) : rule;
+    const snapshot = {};
+
+    VERSIONED_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        snapshot[field] = this.stripIds(JSON.parse(JSON.stringify(source[field])));
+      }
+    });
+
+    // Daily limit counters are runtime state, not part of the definition
+    if (snapshot.constraints?.dailyLimit) {
+      delete snapshot.constraints.dailyLimit.currentCount;
+      delete snapshot.constraints.dailyLimit.resetAt;
+    }
+
+    if (redact && snapshot.actions) {
+      snapshot.actions = AutomationRule.redactSecrets(snapshot.actions);
+    }
+
+    return snapshot;
+  }
+
+  // Puts back the secrets of webhook actions that came in masked (from an export, a stored
+  // version or a rule read from the API), taken from the action with the same URL in
+  // `currentActions`. Masked secrets with no match are dropped.
+  restoreSecrets(actions, currentActions = []) {
+    if (!Array.isArray(actions)) return actions;
+
+    return actions.map(action => {
+      if (action?.params?.secret !== AutomationRule.REDACTED_SECRET) return action;
+
+      const current = currentActions.find(candidate =>
+        candidate.type === 'webhook' && candidate.params?.url === action.params.url && candidate.params?.secret);
+      const { secret, ...params } = action.params;
+      return { ...action, params: current ? { ...params, secret: current.params.secret } : params };
+    });
+  }
+
+  // Drops references to another account's documents from an imported definition
+  async scopeReferences(userId, snapshot) {
+    for (const action of snapshot.actions || []) {
+      const references = ACCOUNT_REFERENCES[action.type] || {};
+
+      for (const [key, target] of Object.entries(references)) {
+        const id = action.params?.[key];
+        if (!id) continue;
+
+        const owned = target === 'team'
+          ? await User.isTeamMember(userId, id)
+          : mongoose.isValidObjectId(id) && Boolean(await target.exists({ _id: id, user: userId }));
+        if (owned) continue;
+
+        if (key === 'agentId') {
+          action.params[key] = userId.toString();
+        } else {
+          delete action.params[key];
+        }
+      }
+    }
+
+    return snapshot;
+  }
+
+  stripIds(value) {
+    if (Array.isArray(value)) return value.map(item => this.stripIds(item));
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_id')
+      .map(([key, item]) => [key, this.stripIds(item)]));
+  }
+
+  // Lists changed paths between two snapshots; arrays are compared as a whole
+  diff(before = {}, after = {}, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const previous = before?.[key];
+      const next = after?.[key];
+
+      if (this.isPlainObject(previous) && this.isPlainObject(next)) {
+        changes.push(...this.diff(previous, next, path));
+      } else if (JSON.stringify(previous) !== JSON.stringify(next)) {
+        changes.push({ path, before: previous, after: next });
+      }
+    });
+
+    return changes;
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Stores the rule's current definition as its next version; unchanged updates are not recorded
+  async record(rule, authorId, changeType, extra = {}) {
+    const latest = await RuleVersion.findOne({ rule: rule._id }).sort('-version');
+    const snapshot = this.snapshot(rule);
+    const diff = this.diff(latest?.snapshot || {}, snapshot);
+
+    if (latest && diff.length === 0 && changeType !== 'rolled_back') {
+      return null;
+    }
+
+    const version = new RuleVersion({
+      user: rule.user,
+      rule: rule._id,
+      version: (latest?.version || 0) + 1,
+      author: authorId,
+      changeType,
+      snapshot,
+      diff,
+      ...extra
+    });
+    await version.save();
+
+    return version;
+  }
+
+  getVersions(ruleId, userId) {
+    return RuleVersion.find({ rule: ruleId, user: userId })
+      .select('-snapshot')
+      .populate('author', 'name email')
+      .sort('-version')
+      .lean()
+      .then(versions => versions.map(version => ({ ...version, diff: AutomationRule.redactSecrets(version.diff) })));
+  }
+
+  async getVersion(ruleId, userId, version) {
+    const ruleVersion = await RuleVersion.findOne({ rule: ruleId, user: userId, version })
+      .populate('author', 'name email')
+      .lean();
+    if (!ruleVersion) return null;
+
+    return {
+      ...ruleVersion,
+      snapshot: AutomationRule.redactSecrets(ruleVersion.snapshot),
+      diff: AutomationRule.redactSecrets(ruleVersion.diff)
+    };
+  }
+
+  // Overwrites a rule's definition with a snapshot, keeping its statistics and daily counters
+  applySnapshot(rule, snapshot) {
+    const dailyLimit = rule.constraints?.dailyLimit;
+    const counters = { currentCount: dailyLimit?.currentCount, resetAt: dailyLimit?.resetAt };
+
+    // Round-trip through the model so fields missing from the snapshot fall back to their defaults
+    const definition = this.snapshot(new AutomationRule(snapshot), { redact: false });
+    definition.actions = this.restoreSecrets(definition.actions, rule.actions);
+    VERSIONED_FIELDS.forEach(field => {
+      rule.set(field, definition[field]);
+    });
+
+    if (rule.constraints?.dailyLimit) {
+      rule.set('constraints.dailyLimit.currentCount', counters.currentCount);
+      rule.set('constraints.dailyLimit.resetAt', counters.resetAt);
+    }
+
+    return rule;
+  }
+
+  async rollback(rule, version, authorId) {
+    const target = await RuleVersion.findOne({ rule: rule._id, version });
+    if (!target) {
+      throw Object.assign(new Error(`Version ${version} not found`), { status: 404 });
+    }
+
+    this.applySnapshot(rule, target.snapshot);
+    await rule.save();
+
+    return await this.record(rule, authorId, 'rolled_back', { restoredFrom: target.version });
+  }
+
+  async exportRules(userId, { includeTemplates = false } = {}) {
+    const rules = await AutomationRule.find({ user: userId }).sort({ priority: -1, createdAt: 1 });
+
+    const data = {
+      format: EXPORT_FORMAT,
+      formatVersion: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date(),
+      rules: rules.map(rule => this.snapshot(rule))
+    };
+
+    if (includeTemplates) {
+      data.templates = automationTemplates;
+    }
+
+    return data;
+  }
+
+  // Validates every rule before writing any. Rules are matched to existing ones by name:
+  // matches are updated (and versioned), the rest are created.
+  async importRules(userId, authorId, data, { includeTemplates = false } = {}) {
+    if (!data || !Array.isArray(data.rules)) {
+      throw Object.assign(new Error('Import must contain a rules array'), { status: 400 });
+    }
+    if (data.format && data.format !== EXPORT_FORMAT) {
+      throw Object.assign(new Error(`Unsupported import format "${data.format}"`), { status: 400 });
+    }
+
+    const definitions = [...data.rules];
+    if (includeTemplates) {
+      definitions.push(...(data.templates || automationTemplates).map(({ id, ...template }) => template));
+    }
+
+    const snapshots = definitions.map(definition => this.snapshot(definition, { redact: false }));
+    const existing = await AutomationRule.find({ user: userId, name: { $in: snapshots.map(s => s.name) } });
+    const byName = new Map(existing.map(rule => [rule.name, rule]));
+
+    // Masked secrets are restored (or dropped) before validating, which requires one
+    for (const snapshot of snapshots) {
+      snapshot.actions = this.restoreSecrets(snapshot.actions, byName.get(snapshot.name)?.actions);
+      await this.scopeReferences(userId, snapshot);
+    }
+
+    const errors = this.validateDefinitions(userId, snapshots);
+    for (const [index, snapshot] of snapshots.entries()) {
+      (await actionExecutorService.authorizeActions(snapshot.actions, userId))
+        .forEach(error => errors.push(`rules[${index}] (${snapshot.name || 'unnamed'}): ${error}`));
+    }
+    if (errors.length > 0) {
+      throw Object.assign(new Error('Invalid automation rules'), { status: 400, details: errors });
+    }
+
+    const created = [];
+    const updated = [];
+    const unchanged = [];
+
+    for (const snapshot of snapshots) {
+      const current = byName.get(snapshot.name);
+      const rule = current
+        ? this.applySnapshot(current, snapshot)
+        : new AutomationRule({ ...snapshot, user: userId });
+
+      await rule.save();
+      byName.set(rule.name, rule);
+
+      const version = await this.record(rule, authorId, 'imported');
+      if (!current) created.push(rule);
+      else if (version) updated.push(rule);
+      else unchanged.push(rule);
+    }
+
+    return { created, updated, unchanged };
+  }
+
+  validateDefinitions(userId, snapshots) {
+    const errors = [];
+
+    snapshots.forEach((snapshot, index) => {
+      const label = `rules[${index}] (${snapshot.name || 'unnamed'})`;
+
+      const validationError = new AutomationRule({ ...snapshot, user: userId }).validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach(error => errors.push(`${label}: ${error.message}`));
+      }
+
+      actionExecutorService.validateActions(snapshot.actions)
+        .forEach(error => errors.push(`${label}: ${error}`));
+
+      if (snapshot.type === 'scheduled') {
+        const scheduleError = ruleSchedulerService.validateSchedule(snapshot.trigger?.schedule);
+        if (scheduleError) errors.push(`${label}: ${scheduleError}`);
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = new RuleVersionService();
@@ -2,7 +2,10 @@ const logger = require('../config/logger');
 const Invoice = require('../models/Invoice');
 const Customer = require('../models/Customer');
 const Order = require('../models/Order');
+const User = require('../models/User');
 const whatsappService = require('./whatsappService');
+const outboundQueueService = require('./outboundQueueService');
+const { ServiceWindowClosedError } = require('../utils/whatsappErrors');
 
 class SchedulerService {
   async processScheduledMessages() {
@@ -45,7 +48,7 @@ class SchedulerService {
         if (daysOverdue <= 7 || daysOverdue === 14 || daysOverdue === 30) {
           try {
             const phone = invoice.customer.phone;
-            await whatsappService.sendPaymentReminder(phone, invoice, daysOverdue);
+            await whatsappService.forUser(invoice.user).sendPaymentReminder(phone, invoice, daysOverdue);
             
             invoice.paymentDetails.reminderSentAt = new Date();
             await invoice.save();
@@ -79,14 +82,18 @@ class SchedulerService {
           const phone = order.customer.phone;
           const message = `Hi ${order.customer.name}! 🌟\n\nThank you for your order ${order.orderNumber}. We hope you enjoyed your purchase!\n\nPlease share your feedback - it helps us serve you better.\n\n🙏 Thank you!`;
           
-          await whatsappService.sendTextMessage(phone, message);
+          await whatsappService.forUser(order.user).sendSessionMessage(phone, message);
           
           order.automation = { ...order.automation, feedbackRequested: true };
           await order.save();
           
           logger.info(`Feedback request sent for order ${order.orderNumber}`);
         } catch (error) {
-          logger.error(`Failed to send feedback request for order ${order.orderNumber}:`, error);
+          if (error instanceof ServiceWindowClosedError) {
+            logger.info(`Skipped feedback request for order ${order.orderNumber}: service window closed`);
+          } else {
+            logger.error(`Failed to send feedback request for order ${order.orderNumber}:`, error);
+          }
         }
       }
     } catch (error) {
@@ -116,7 +123,7 @@ class SchedulerService {
 
           const message = `Hi ${customer.name}! 👋\n\nIt's been ${daysSinceOrder} days since your last order with ${customer.user?.businessName || 'us'}. \n\nWe miss you! 🎁\n\nUse code WELCOME10 for 10% off on your next order.\n\nShop now and stay connected on WhatsApp!`;
           
-          await whatsappService.sendTextMessage(phone, message);
+          await whatsappService.forUser(customer.user).sendSessionMessage(phone, message);
           
           // Mark engagement sent
           customer.lastEngagementAt = new Date();
@@ -124,7 +131,11 @@ class SchedulerService {
           
           logger.info(`Engagement message sent to customer ${customer.name}`);
         } catch (error) {
-          logger.error(`Failed to send engagement to customer ${customer.name}:`, error);
+          if (error instanceof ServiceWindowClosedError) {
+            logger.info(`Skipped engagement message to customer ${customer.name}: service window closed`);
+          } else {
+            logger.error(`Failed to send engagement to customer ${customer.name}:`, error);
+          }
         }
       }
     } catch (error) {
@@ -134,7 +145,8 @@ class SchedulerService {
 
   async sendBulkCampaign(campaign) {
     try {
-      const { userId, message, template, customerIds, delay = 200 } = campaign;
+      const { userId, message, template, customerIds } = campaign;
+      const client = whatsappService.forUser(await User.findById(userId));
       
       const customers = await Customer.find({
         _id: { $in: customerIds },
@@ -142,39 +154,37 @@ class SchedulerService {
         'communicationPreferences.marketing': true
       });
 
-      const results = [];
-      for (const customer of customers) {
+      // Sends are paced per phone number by the outbound queue and started in batches
+      const results = await outboundQueueService.mapInBatches(customers, async (customer) => {
         try {
           let result;
           if (template) {
-            result = await whatsappService.sendTemplateMessage(
+            result = await client.sendTemplateMessage(
               customer.phone,
               template.name,
               template.language,
               template.components
             );
           } else {
-            result = await whatsappService.sendTextMessage(customer.phone, message);
+            result = await client.sendSessionMessage(customer.phone, message);
           }
           
-          results.push({
+          return {
             customerId: customer._id,
             phone: customer.phone,
             success: true,
             messageId: result.messages?.[0]?.id
-          });
-
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, delay));
+          };
         } catch (error) {
-          results.push({
+          return {
             customerId: customer._id,
             phone: customer.phone,
             success: false,
-            error: error.message
-          });
+            error: error.message,
+            errorCode: error.code
+          };
         }
-      }
+      });
 
       logger.info(`Bulk campaign completed. Success: ${results.filter(r => r.success).length}, Failed: ${results.filter(r => !r.success).length}`);
       
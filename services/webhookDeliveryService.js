@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const AutomationRule = require('../models/AutomationRule');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const ActionJob = require('../models/ActionJob');
+const logger = require('../config/logger');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+// Upper bounds for the webhook action's params
+const LIMITS = {
+  timeoutMs: { min: 1000, max: 30000 },
+  maxRetries: { min: 0, max: 10 },
+  backoffMs: { min: 0, max: MAX_BACKOFF_MS }
+};
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|internal|local)$/i;
+
+class WebhookDeliveryService {
+  sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  getSecret(params = {}) {
+    return params.secret || process.env.WEBHOOK_SIGNING_SECRET;
+  }
+
+  // Private targets can be allowed for local development and tests
+  allowPrivateTargets() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+  }
+
+  isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return this.isPrivateAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // Checks a webhook action's params; returns an error message or null
+  validateParams(params) {
+    let url;
+    try {
+      url = new URL(params.url);
+    } catch (error) {
+      return 'url must be an http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'url must be an http(s) URL';
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivateTargets() && (PRIVATE_HOSTNAMES.test(hostname) || this.isPrivateAddress(hostname))) {
+      return 'url must not point at a private, loopback or link-local address';
+    }
+
+    for (const [key, { min, max }] of Object.entries(LIMITS)) {
+      if (params[key] !== undefined && !(params[key] >= min && params[key] <= max)) {
+        return `${key} must be between ${min} and ${max}`;
+      }
+    }
+
+    if (!this.getSecret(params)) {
+      return 'secret is required to sign deliveries (or set WEBHOOK_SIGNING_SECRET)';
+    }
+
+    return null;
+  }
+
+  // Limits stored params to LIMITS, for rules saved before they were enforced
+  clamp(key, value, fallback) {
+    const { min, max } = LIMITS[key];
+    return Math.min(Math.max(value ?? fallback, min), max);
+  }
+
+  // DNS lookup for outgoing connections that refuses private addresses, so a public
+  // hostname cannot be pointed at an internal service after the URL was checked
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      const blocked = addresses.find(candidate => this.isPrivateAddress(candidate));
+      if (blocked && !this.allowPrivateTargets()) {
+        return callback(Object.assign(new Error(`${hostname} resolves to private address ${blocked}`), {
+          code: 'EPRIVATETARGET'
+        }));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  agent(url) {
+    if (!this.agents) {
+      const lookup = this.lookup.bind(this);
+      this.agents = { 'http:': new http.Agent({ lookup }), 'https:': new https.Agent({ lookup }) };
+    }
+    return this.agents[url.protocol];
+  }
+
+  // One signed delivery attempt; never throws. `retryable` is set for timeouts, network
+  // errors, 408/429 and 5xx responses. Unsigned and private-address deliveries are refused.
+  async attempt(options, attempt) {
+    const { url, method = 'POST', headers = {}, body, secret, deliveryId } = options;
+    const timeoutMs = this.clamp('timeoutMs', options.timeoutMs, DEFAULT_TIMEOUT_MS);
+
+    const requestHeaders = {
+      'Content-Type': 'application/json',
+      ...headers,
+      'X-Webhook-Id': deliveryId,
+      'X-Webhook-Attempt': String(attempt)
+    };
+
+    const record = { attemptedAt: new Date() };
+    const startedAt = Date.now();
+    let retryable = true;
+
+    try {
+      const targetError = this.validateParams({ url, secret });
+      if (targetError) {
+        retryable = false;
+        throw new Error(targetError);
+      }
+      requestHeaders['X-Signature-256'] = this.sign(body, secret);
+
+      // Redirects are not followed: they could lead to a private address
+      const response = await fetch(url, {
+        method,
+        headers: requestHeaders,
+        body,
+        timeout: timeoutMs,
+        redirect: 'manual',
+        agent: this.agent(new URL(url))
+      });
+      record.statusCode = response.status;
+
+      if (!response.ok) {
+        record.error = `Responded with status ${response.status}`;
+        retryable = response.status >= 500 || [408, 429].includes(response.status);
+      }
+    } catch (error) {
+      record.error = error.type === 'request-timeout' ? `Timed out after ${timeoutMs}ms` : error.message;
+      if (error.code === 'EPRIVATETARGET') retryable = false;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    if (record.error) {
+      logger.warn(`Webhook ${deliveryId} attempt ${attempt} to ${url} failed: ${record.error}`);
+    }
+
+    return { record, retryable: Boolean(record.error) && retryable };
+  }
+
+  backoff(attempt, backoffMs) {
+    return Math.min(this.clamp('backoffMs', backoffMs, DEFAULT_BACKOFF_MS) * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+  }
+
+  // Makes one attempt at a webhook action's delivery. A retryable failure is saved as an
+  // ActionJob that tries again after the backoff (the result then has `retryAt`); once the
+  // retries are used up the delivery is stored as a dead letter.
+  //
+  // options: context and executionId of the rule run, plus deliveryId and earlier attempts
+  // when retrying
+  async deliverForRule(rule, actionIndex, params, payload, options = {}) {
+    const deliveryId = options.deliveryId || uuidv4();
+    const maxRetries = this.clamp('maxRetries', params.maxRetries, DEFAULT_MAX_RETRIES);
+    const attempts = [...(options.attempts || [])];
+
+    const { record, retryable } = await this.attempt({
+      url: params.url,
+      method: params.method,
+      headers: params.headers,
+      body: JSON.stringify(payload),
+      secret: this.getSecret(params),
+      deliveryId,
+      timeoutMs: params.timeoutMs
+    }, attempts.length + 1);
+    attempts.push(record);
+
+    if (!record.error) {
+      return { delivered: true, deliveryId, statusCode: record.statusCode, attempts };
+    }
+
+    if (retryable && attempts.length <= maxRetries) {
+      const job = new ActionJob({
+        user: rule.user,
+        rule: rule._id,
+        type: 'webhook',
+        execution: options.executionId,
+        context: ActionJob.contextRefs(options.context || {}),
+        webhook: { actionIndex, deliveryId, payload, attempts },
+        runAt: new Date(Date.now() + this.backoff(attempts.length, params.backoffMs))
+      });
+      await job.save();
+
+      return { delivered: false, deliveryId, attempts, lastError: record.error, retryAt: job.runAt };
+    }
+
+    const deadLetter = new WebhookDeadLetter({
+      user: rule.user,
+      rule: rule._id,
+      actionIndex,
+      deliveryId,
+      url: params.url,
+      method: params.method || 'POST',
+      headers: params.headers,
+      payload,
+      attempts,
+      lastError: record.error
+    });
+    await deadLetter.save();
+
+    logger.error(`Webhook ${deliveryId} to ${params.url} moved to dead-letter queue: ${record.error}`);
+    return { delivered: false, deliveryId, attempts, lastError: record.error };
+  }
+
+  // Queues a dead letter to be sent again by the action job worker
+  async queueReplay(deadLetter) {
+    const job = new ActionJob({
+      user: deadLetter.user,
+      rule: deadLetter.rule,
+      type: 'replay',
+      deadLetter: deadLetter._id,
+      webhook: { actionIndex: deadLetter.actionIndex, deliveryId: deadLetter.deliveryId, attempts: [] },
+      runAt: new Date()
+    });
+    await job.save();
+
+    deadLetter.status = 'queued';
+    await deadLetter.save();
+
+    return job;
+  }
+
+  // Makes one attempt at re-sending a dead letter, with the same delivery id so receivers
+  // can deduplicate. A retryable failure is scheduled as another replay job, with the
+  // backoff and retries of the rule's webhook action; otherwise the dead letter is marked
+  // replayed, or dead again.
+  //
+  // attempts: earlier attempts of this replay
+  async replay(deadLetter, attempts = []) {
+    const rule = deadLetter.rule && await AutomationRule.findOne({ _id: deadLetter.rule, user: deadLetter.user });
+    const params = rule?.actions?.[deadLetter.actionIndex]?.params || {};
+    const maxRetries = this.clamp('maxRetries', params.maxRetries, DEFAULT_MAX_RETRIES);
+
+    const { record, retryable } = await this.attempt({
+      url: deadLetter.url,
+      method: deadLetter.method,
+      headers: deadLetter.headers,
+      body: JSON.stringify(deadLetter.payload),
+      secret: this.getSecret(params),
+      deliveryId: deadLetter.deliveryId,
+      timeoutMs: params.timeoutMs
+    }, deadLetter.attempts.length + 1);
+    attempts = [...attempts, record];
+    deadLetter.attempts.push(record);
+
+    let retryAt;
+    if (!record.error) {
+      deadLetter.status = 'replayed';
+      deadLetter.replayedAt = new Date();
+    } else if (retryable && attempts.length <= maxRetries) {
+      const job = new ActionJob({
+        user: deadLetter.user,
+        rule: deadLetter.rule,
+        type: 'replay',
+        deadLetter: deadLetter._id,
+        webhook: { actionIndex: deadLetter.actionIndex, deliveryId: deadLetter.deliveryId, attempts },
+        runAt: new Date(Date.now() + this.backoff(attempts.length, params.backoffMs))
+      });
+      await job.save();
+      retryAt = job.runAt;
+    } else {
+      deadLetter.status = 'dead';
+      deadLetter.lastError = record.error;
+    }
+    await deadLetter.save();
+
+    return {
+      delivered: !record.error,
+      deliveryId: deadLetter.deliveryId,
+      statusCode: record.statusCode,
+      attempts,
+      lastError: record.error,
+      retryAt
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryService();
@@ -1,12 +1,158 @@
+const crypto = require('crypto');
 const fetch = require('node-fetch');
+const Customer = require('../models/Customer');
+const Message = require('../models/Message');
+const MessageTemplate = require('../models/MessageTemplate');
+const outboundQueueService = require('./outboundQueueService');
+const { WhatsAppApiError, ServiceWindowClosedError, TemplateValidationError } = require('../utils/whatsappErrors');
 const logger = require('../config/logger');
 
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Templates sent in place of notifications when the service window is closed. A business can
+// name its own in User.fallbackTemplates; these are the deployment-wide defaults.
+const FALLBACK_TEMPLATES = {
+  invoiceReminder: process.env.WHATSAPP_TEMPLATE_INVOICE_REMINDER || 'invoice_reminder',
+  orderStatusUpdate: process.env.WHATSAPP_TEMPLATE_ORDER_STATUS_UPDATE || 'order_status_update',
+  paymentReceived: process.env.WHATSAPP_TEMPLATE_PAYMENT_RECEIVED || 'payment_received'
+};
+
+// Webhook message types mapped to Message.type
+const MESSAGE_TYPES = {
+  text: 'text',
+  image: 'image',
+  document: 'document',
+  audio: 'audio',
+  video: 'video',
+  sticker: 'sticker',
+  location: 'location',
+  contacts: 'contact',
+  reaction: 'reaction',
+  button: 'button',
+  interactive: 'interactive',
+  order: 'order'
+};
+
 class WhatsAppService {
   constructor() {
     this.baseUrl = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v22.0';
     this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID || '981190075078324';
     this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN || 'EAARYNSpQdgEBQl6SoqjWvwWD1HiMgcRcxTppSluZBPcvE9dE2wpQcni492fmq63DLJpy35v6YQzqzHuzFUFCza11VANNiycdh5BLTBjbjlW3UkRm7bq79pOdPeCaBEwQvweS29YjR2PG4Qd6BT7hmqh4sxMwEZBepUZCAmwLKQ9cWLx8ThtvIFp84q7GbWYX3Um0AWJeWMnrouDgcqSMEFDFrFJzi44vER2tZApzTE2DWGFXqbkvwM1ZA1KYCFLf35i5XBDPI7sDoSoCDqmmn';
     this.version = process.env.WHATSAPP_VERSION || 'v22.0';
+    this.businessAccountId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+    this.catalogId = process.env.WHATSAPP_CATALOG_ID;
+  }
+
+  // Returns a client bound to the user's own WhatsApp number, so replies go out from the
+  // tenant that owns the conversation. Users without credentials send from the default number.
+  forUser(user) {
+    if (!user) return this;
+
+    const client = Object.create(this);
+    client.user = user;
+    if (user.whatsappPhoneId && user.whatsappAccessToken) {
+      client.phoneNumberId = user.whatsappPhoneId;
+      client.accessToken = user.whatsappAccessToken;
+    }
+    if (user.whatsappBusinessAccountId) {
+      client.businessAccountId = user.whatsappBusinessAccountId;
+    }
+    if (user.whatsappCatalogId) {
+      client.catalogId = user.whatsappCatalogId;
+    }
+    return client;
+  }
+
+  describeServiceWindow(lastIncomingAt, now = new Date()) {
+    const expiresAt = lastIncomingAt ? new Date(new Date(lastIncomingAt).getTime() + SERVICE_WINDOW_MS) : null;
+    const remainingMs = expiresAt ? Math.max(expiresAt - now, 0) : 0;
+
+    return {
+      open: remainingMs > 0,
+      lastIncomingAt: lastIncomingAt || null,
+      expiresAt,
+      remainingMs
+    };
+  }
+
+  // The 24-hour window since the customer last wrote to this client's user
+  async getServiceWindow(phoneNumber) {
+    const userId = this.user?._id || this.user;
+    if (!userId) {
+      throw new Error('Service window checks need a client from whatsappService.forUser()');
+    }
+
+    const customer = await Customer.findOne({ user: userId, phone: phoneNumber }).select('lastIncomingMessageAt');
+    let lastIncomingAt = customer?.lastIncomingMessageAt;
+
+    // Customers who last wrote before the timestamp was tracked
+    if (!lastIncomingAt && customer) {
+      const lastIncoming = await Message.findOne({ user: userId, customer: customer._id, direction: 'incoming' })
+        .sort('-createdAt')
+        .select('createdAt');
+      lastIncomingAt = lastIncoming?.createdAt;
+    }
+
+    return this.describeServiceWindow(lastIncomingAt);
+  }
+
+  // Sends free-form text. Like every non-template send it is checked against the service
+  // window (see sendMessage); outside it `fallbackTemplate` ({ name, language, components })
+  // is sent when given, otherwise ServiceWindowClosedError is thrown.
+  async sendSessionMessage(phoneNumber, message, options = {}) {
+    return await this.sendTextMessage(phoneNumber, message, options);
+  }
+
+  // Fallback template for one of the FALLBACK_TEMPLATES notifications, with `values` as its
+  // body parameters
+  fallbackTemplate(key, values) {
+    return {
+      name: this.user?.fallbackTemplates?.[key] || FALLBACK_TEMPLATES[key],
+      language: 'en',
+      components: [{
+        type: 'body',
+        parameters: values.map(text => ({ type: 'text', text: String(text) }))
+      }]
+    };
+  }
+
+  // Free-form messages (anything but a template) may only go out within 24 hours of the
+  // customer's last message; the fallback template is only sent once the business has it
+  // approved. Clients not bound to a user can't look the customer up.
+  async enforceServiceWindow(body, options) {
+    if (body.type === 'template' || !this.user) return null;
+
+    const serviceWindow = await this.getServiceWindow(body.to);
+    if (serviceWindow.open) return null;
+
+    const { fallbackTemplate, messageDoc } = options;
+    if (!fallbackTemplate?.name) {
+      const error = new ServiceWindowClosedError(body.to, serviceWindow.lastIncomingAt);
+      await outboundQueueService.markFailed(messageDoc, error);
+      throw error;
+    }
+
+    const language = fallbackTemplate.language || 'en';
+    const approved = await MessageTemplate.exists({
+      user: this.user._id || this.user,
+      name: fallbackTemplate.name,
+      language,
+      status: 'approved'
+    });
+    if (!approved) {
+      logger.warn(`Service window closed for ${body.to} and fallback template ${fallbackTemplate.name} (${language}) is not approved`);
+      const error = new ServiceWindowClosedError(body.to, serviceWindow.lastIncomingAt);
+      await outboundQueueService.markFailed(messageDoc, error);
+      throw error;
+    }
+
+    if (messageDoc) {
+      messageDoc.type = 'template';
+      messageDoc.template = { name: fallbackTemplate.name, language, components: fallbackTemplate.components };
+    }
+
+    logger.info(`Service window closed for ${body.to}, sending template ${fallbackTemplate.name} instead`);
+    return await this.sendTemplateMessage(body.to, fallbackTemplate.name, language, fallbackTemplate.components || [], { messageDoc });
   }
 
   async makeRequest(endpoint, method = 'GET', body = null) {
@@ -24,20 +170,44 @@ class WhatsAppService {
       options.body = JSON.stringify(body);
     }
 
+    let response;
     try {
-      const response = await fetch(url, options);
-      const data = await response.json();
-
-      if (!response.ok) {
-        logger.error('WhatsApp API Error:', { status: response.status, data });
-        throw new Error(data.error?.message || 'WhatsApp API request failed');
-      }
-
-      return data;
+      response = await fetch(url, options);
     } catch (error) {
       logger.error('WhatsApp API Request Failed:', error);
-      throw error;
+      throw WhatsAppApiError.fromNetworkError(error);
     }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      logger.error('WhatsApp API Error:', { status: response.status, data });
+      throw WhatsAppApiError.fromResponse(response.status, data);
+    }
+
+    return data;
+  }
+
+  // Sends a message through the outbound queue: throttled per phone number and retried on
+  // transient errors. Pass `messageDoc` to record the attempts and outcome on a Message.
+  // Pass `replyTo` (a WhatsApp message ID) to send the message as a quoted reply, and
+  // `fallbackTemplate` to send instead of a free-form message when the service window is closed.
+  async sendMessage(body, options = {}) {
+    const { messageDoc, replyTo } = options;
+    const fallbackResult = await this.enforceServiceWindow(body, options);
+    if (fallbackResult) {
+      return fallbackResult;
+    }
+
+    if (replyTo) {
+      body.context = { message_id: replyTo };
+    }
+
+    return await outboundQueueService.send(
+      this.phoneNumberId,
+      () => this.makeRequest(`${this.phoneNumberId}/messages`, 'POST', body),
+      { messageDoc }
+    );
   }
 
   async sendTextMessage(phoneNumber, message, options = {}) {
@@ -51,10 +221,12 @@ class WhatsAppService {
       }
     };
 
-    return await this.makeRequest(`${this.phoneNumberId}/messages`, 'POST', body);
+    return await this.sendMessage(body, options);
   }
 
-  async sendTemplateMessage(phoneNumber, templateName, language = 'en', components = []) {
+  async sendTemplateMessage(phoneNumber, templateName, language = 'en', components = [], options = {}) {
+    await this.validateTemplateComponents(templateName, language, components, options);
+
     const body = {
       messaging_product: 'whatsapp',
       to: phoneNumber,
@@ -68,10 +240,31 @@ class WhatsAppService {
       }
     };
 
-    return await this.makeRequest(`${this.phoneNumberId}/messages`, 'POST', body);
+    return await this.sendMessage(body, options);
+  }
+
+  // Checks the components against the user's stored copy of the template, when there is one.
+  // Templates managed only in WhatsApp Manager are sent unchecked.
+  async validateTemplateComponents(templateName, language, components, { messageDoc } = {}) {
+    const userId = this.user?._id || this.user;
+    if (!userId) return;
+
+    const template = await MessageTemplate.findOne({ user: userId, name: templateName, language });
+    if (!template) return;
+
+    if (template.status !== 'approved') {
+      logger.warn(`Sending template ${templateName} (${language}) which is ${template.status}, not approved`);
+    }
+
+    const errors = template.validateSendComponents(components || []);
+    if (errors.length > 0) {
+      const error = new TemplateValidationError(templateName, language, errors);
+      await outboundQueueService.markFailed(messageDoc, error);
+      throw error;
+    }
   }
 
-  async sendImageMessage(phoneNumber, imageUrl, caption = '', mimeType = 'image/jpeg') {
+  async sendImageMessage(phoneNumber, imageUrl, caption = '', mimeType = 'image/jpeg', options = {}) {
     const body = {
       messaging_product: 'whatsapp',
       to: phoneNumber,
@@ -83,10 +276,10 @@ class WhatsAppService {
       }
     };
 
-    return await this.makeRequest(`${this.phoneNumberId}/messages`, 'POST', body);
+    return await this.sendMessage(body, options);
   }
 
-  async sendDocumentMessage(phoneNumber, documentUrl, fileName, mimeType = 'application/pdf') {
+  async sendDocumentMessage(phoneNumber, documentUrl, fileName, mimeType = 'application/pdf', options = {}) {
     const body = {
       messaging_product: 'whatsapp',
       to: phoneNumber,
@@ -98,7 +291,184 @@ class WhatsAppService {
       }
     };
 
-    return await this.makeRequest(`${this.phoneNumberId}/messages`, 'POST', body);
+    return await this.sendMessage(body, options);
+  }
+
+  // Up to three reply buttons: [{ id, title }]. The id comes back on the customer's reply,
+  // e.g. CONFIRM_ORDER:<orderId>; see interactiveReplyService.
+  async sendButtonMessage(phoneNumber, text, buttons, options = {}) {
+    if (buttons.length === 0 || buttons.length > 3) {
+      throw Object.assign(new Error('Button messages need between 1 and 3 buttons'), { status: 400 });
+    }
+
+    const body = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        ...this.buildInteractiveFrame(text, options),
+        action: {
+          buttons: buttons.map(button => ({
+            type: 'reply',
+            reply: {
+              id: button.id,
+              title: button.title.slice(0, 20)
+            }
+          }))
+        }
+      }
+    };
+
+    return await this.sendMessage(body, options);
+  }
+
+  // A list opened from `buttonText`: sections [{ title, rows: [{ id, title, description }] }],
+  // at most 10 rows in total
+  async sendListMessage(phoneNumber, text, buttonText, sections, options = {}) {
+    const rowCount = sections.reduce((count, section) => count + section.rows.length, 0);
+    if (rowCount === 0 || rowCount > 10) {
+      throw Object.assign(new Error('List messages need between 1 and 10 rows'), { status: 400 });
+    }
+
+    const body = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        ...this.buildInteractiveFrame(text, options),
+        action: {
+          button: buttonText.slice(0, 20),
+          sections: sections.map(section => ({
+            title: section.title?.slice(0, 24),
+            rows: section.rows.map(row => ({
+              id: row.id,
+              title: row.title.slice(0, 24),
+              description: row.description?.slice(0, 72)
+            }))
+          }))
+        }
+      }
+    };
+
+    return await this.sendMessage(body, options);
+  }
+
+  // A single catalog product, identified by its retailer ID (our SKU)
+  async sendProductMessage(phoneNumber, productRetailerId, text, options = {}) {
+    const body = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'product',
+        ...this.buildInteractiveFrame(text, { footer: options.footer }),
+        action: {
+          catalog_id: this.requireCatalogId(options),
+          product_retailer_id: productRetailerId
+        }
+      }
+    };
+
+    return await this.sendMessage(body, options);
+  }
+
+  // Up to 30 catalog products in up to 10 sections: [{ title, productRetailerIds }]
+  async sendProductListMessage(phoneNumber, header, text, sections, options = {}) {
+    const productCount = sections.reduce((count, section) => count + section.productRetailerIds.length, 0);
+    if (productCount === 0 || productCount > 30 || sections.length > 10) {
+      throw Object.assign(new Error('Product lists need between 1 and 30 products in at most 10 sections'), { status: 400 });
+    }
+
+    const body = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'product_list',
+        ...this.buildInteractiveFrame(text, { header, footer: options.footer }),
+        action: {
+          catalog_id: this.requireCatalogId(options),
+          sections: sections.map(section => ({
+            title: section.title.slice(0, 24),
+            product_items: section.productRetailerIds.map(id => ({ product_retailer_id: id }))
+          }))
+        }
+      }
+    };
+
+    return await this.sendMessage(body, options);
+  }
+
+  requireCatalogId({ catalogId } = {}) {
+    if (!catalogId && !this.catalogId) {
+      throw Object.assign(new Error('No WhatsApp catalog ID configured'), { status: 400 });
+    }
+    return catalogId || this.catalogId;
+  }
+
+  buildInteractiveFrame(text, { header, footer } = {}) {
+    const frame = { body: { text } };
+    if (header) frame.header = { type: 'text', text: header };
+    if (footer) frame.footer = { text: footer };
+    return frame;
+  }
+
+  async sendLocationMessage(phoneNumber, { latitude, longitude, name, address }, options = {}) {
+    const body = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'location',
+      location: {
+        latitude,
+        longitude,
+        name,
+        address
+      }
+    };
+
+    return await this.sendMessage(body, options);
+  }
+
+  // contacts: [{ name, phone, email, organization }]
+  async sendContactMessage(phoneNumber, contacts, options = {}) {
+    const body = {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'contacts',
+      contacts: contacts.map(contact => {
+        const [firstName, ...lastName] = contact.name.split(' ');
+        return {
+          name: {
+            formatted_name: contact.name,
+            first_name: firstName,
+            ...(lastName.length > 0 && { last_name: lastName.join(' ') })
+          },
+          phones: contact.phone ? [{ phone: contact.phone, type: 'CELL' }] : [],
+          ...(contact.email && { emails: [{ email: contact.email, type: 'WORK' }] }),
+          ...(contact.organization && { org: { company: contact.organization } })
+        };
+      })
+    };
+
+    return await this.sendMessage(body, options);
+  }
+
+  // Reacts to a WhatsApp message; an empty emoji removes the reaction
+  async sendReaction(phoneNumber, messageId, emoji, options = {}) {
+    const body = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: phoneNumber,
+      type: 'reaction',
+      reaction: {
+        message_id: messageId,
+        emoji
+      }
+    };
+
+    return await this.sendMessage(body, options);
   }
 
   async sendOrderDetails(phoneNumber, order, businessName) {
@@ -163,7 +533,10 @@ Please arrange payment at your earliest convenience.
 Thank you! 🙏
     `.trim();
 
-    return await this.sendTextMessage(phoneNumber, message);
+    const amountDue = invoice.pricing.total - invoice.paymentDetails.paidAmount;
+    return await this.sendSessionMessage(phoneNumber, message, {
+      fallbackTemplate: this.fallbackTemplate('invoiceReminder', [invoice.invoiceNumber, `₹${amountDue}`])
+    });
   }
 
   async sendOrderStatusUpdate(phoneNumber, order, status) {
@@ -176,23 +549,54 @@ Thank you! 🙏
     };
 
     const message = statusMessages[status] || `Order ${order.orderNumber} status updated to: ${status}`;
-    return await this.sendTextMessage(phoneNumber, message);
+    return await this.sendSessionMessage(phoneNumber, message, {
+      fallbackTemplate: this.fallbackTemplate('orderStatusUpdate', [order.orderNumber, status])
+    });
   }
 
   async sendBulkMessages(phoneNumbers, message, options = {}) {
-    const results = [];
-    for (const phoneNumber of phoneNumbers) {
+    // Sends are paced per phone number by the outbound queue and started in batches
+    return await outboundQueueService.mapInBatches(phoneNumbers, async (phoneNumber) => {
       try {
         const result = await this.sendTextMessage(phoneNumber, message, options);
-        results.push({ phoneNumber, success: true, messageId: result.messages[0].id });
-        
-        // Rate limiting - wait 200ms between messages
-        await new Promise(resolve => setTimeout(resolve, 200));
+        return { phoneNumber, success: true, messageId: result.messages[0].id };
       } catch (error) {
-        results.push({ phoneNumber, success: false, error: error.message });
+        return { phoneNumber, success: false, error: error.message, errorCode: error.code };
       }
+    });
+  }
+
+  // Media metadata for an incoming media ID: { url, mime_type, sha256, file_size, id }
+  async getMediaUrl(mediaId) {
+    return await this.makeRequest(mediaId, 'GET');
+  }
+
+  // Starts downloading media from the short-lived URL returned by getMediaUrl() and resolves
+  // with the response body as a readable stream. Files the server says are larger than
+  // `maxBytes` are refused up front; the caller enforces the limit while reading.
+  async downloadMedia(url, { maxBytes } = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { 'Authorization': `Bearer ${this.accessToken}` }
+      });
+    } catch (error) {
+      logger.error('WhatsApp media download failed:', error);
+      throw WhatsAppApiError.fromNetworkError(error);
     }
-    return results;
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw WhatsAppApiError.fromResponse(response.status, data);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length'));
+    if (maxBytes && contentLength > maxBytes) {
+      response.body.destroy();
+      throw new Error(`Media is ${contentLength} bytes, over the ${maxBytes} byte limit`);
+    }
+
+    return response.body;
   }
 
   async getMessageStatus(messageId) {
@@ -218,18 +622,47 @@ Thank you! 🙏
     return null;
   }
 
-  async handleIncomingMessage(payload) {
-    const entry = payload.entry?.[0];
-    const changes = entry?.changes?.[0];
-    const value = changes?.value;
-    
-    const messages = value?.messages;
-    if (!messages || messages.length === 0) return null;
+  // Checks Meta's X-Hub-Signature-256 header (HMAC-SHA256 of the raw body with the app secret).
+  // Fails closed: without an app secret configured every payload is rejected.
+  verifySignature(rawBody, signature) {
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+    if (!appSecret || !rawBody || !signature) return false;
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Flattens a webhook POST: Meta may batch several entries, changes, messages and statuses
+  parseWebhook(payload) {
+    const messages = [];
+    const statusUpdates = [];
+
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const phoneNumberId = value.metadata?.phone_number_id;
+
+        const contactNames = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name]));
+        for (const message of value.messages || []) {
+          messages.push(this.parseMessage(message, phoneNumberId, contactNames.get(message.from)));
+        }
+
+        const statusUpdate = this.parseStatusUpdates(value);
+        if (statusUpdate) {
+          statusUpdates.push(statusUpdate);
+        }
+      }
+    }
 
-    const message = messages[0];
-    const contacts = value.contacts || [];
+    return { messages, statusUpdates };
+  }
 
+  parseMessage(message, phoneNumberId, contactName) {
     const messageData = {
+      phoneNumberId,
+      type: MESSAGE_TYPES[message.type] || 'unsupported',
       whatsapp: {
         messageId: message.id,
         messageTimestamp: parseInt(message.timestamp),
@@ -237,51 +670,140 @@ Thank you! 🙏
       },
       from: message.from,
       phone: message.from,
+      contactName,
       direction: 'incoming',
       timestamp: new Date(parseInt(message.timestamp) * 1000)
     };
 
-    if (contacts.length > 0) {
-      messageData.contactName = contacts[0].wa_id;
-    }
-
     switch (message.type) {
       case 'text':
         messageData.content = { text: message.text.body };
         break;
       case 'image':
+      case 'video':
+      case 'audio':
+      case 'sticker':
+        messageData.content = { media: this.parseMedia(message[message.type]) };
+        break;
+      case 'document':
         messageData.content = {
           media: {
-            url: message.image.id,
-            mimeType: message.image.mime_type,
-            caption: message.image.caption
+            ...this.parseMedia(message.document),
+            fileName: message.document.filename
           }
         };
         break;
-      case 'document':
+      case 'location':
         messageData.content = {
-          media: {
-            url: message.document.id,
-            fileName: message.document.filename,
-            mimeType: message.document.mime_type
+          location: {
+            latitude: message.location.latitude,
+            longitude: message.location.longitude,
+            name: message.location.name,
+            address: message.location.address,
+            url: message.location.url
+          }
+        };
+        break;
+      case 'contacts': {
+        const contacts = (message.contacts || []).map(contact => ({
+          name: contact.name?.formatted_name || [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' '),
+          phone: contact.phones?.[0]?.phone,
+          waId: contact.phones?.find(phone => phone.wa_id)?.wa_id,
+          email: contact.emails?.[0]?.email,
+          organization: contact.org?.company
+        }));
+        messageData.content = { contact: contacts[0], contacts };
+        break;
+      }
+      case 'order':
+        messageData.content = {
+          text: message.order.text,
+          cart: {
+            catalogId: message.order.catalog_id,
+            text: message.order.text,
+            items: (message.order.product_items || []).map(item => ({
+              retailerId: item.product_retailer_id,
+              quantity: parseInt(item.quantity),
+              price: parseFloat(item.item_price),
+              currency: item.currency
+            }))
+          }
+        };
+        break;
+      case 'reaction':
+        // An empty emoji means the customer removed their reaction
+        messageData.content = {
+          reaction: {
+            messageId: message.reaction.message_id,
+            emoji: message.reaction.emoji || ''
           }
         };
         break;
       case 'button':
-        messageData.content = { text: message.button.text };
+        // Quick reply button on a template
+        messageData.content = {
+          text: message.button.text,
+          interactive: { type: 'button', id: message.button.payload, title: message.button.text }
+        };
         break;
-      case 'interactive':
+      case 'interactive': {
+        const reply = message.interactive?.button_reply || message.interactive?.list_reply;
         messageData.content = {
-          text: message.interactive?.button_reply?.title || 
-                message.interactive?.list_reply?.title
+          text: reply?.title,
+          interactive: {
+            type: message.interactive?.type,
+            id: reply?.id,
+            title: reply?.title,
+            description: reply?.description
+          }
         };
         break;
+      }
       default:
-        messageData.content = { text: message[message.type]?.id || 'Unknown message type' };
+        messageData.content = { text: message.errors?.[0]?.title || 'Unsupported message type' };
+    }
+
+    if (message.context) {
+      messageData.context = {
+        messageId: message.context.id,
+        from: message.context.from,
+        forwarded: message.context.forwarded || false,
+        forwardedManyTimes: message.context.frequently_forwarded || false
+      };
     }
 
     return messageData;
   }
+
+  parseMedia(media = {}) {
+    return {
+      mediaId: media.id,
+      mimeType: media.mime_type,
+      sha256: media.sha256,
+      caption: media.caption,
+      voice: media.voice,
+      animated: media.animated
+    };
+  }
+
+  parseStatusUpdates(value) {
+    const statuses = value.statuses || [];
+    const errors = value.errors || [];
+    if (statuses.length === 0 && errors.length === 0) return null;
+
+    return {
+      phoneNumberId: value.metadata?.phone_number_id,
+      statuses: statuses.map(status => ({
+        messageId: status.id,
+        status: status.status,
+        recipient: status.recipient_id,
+        timestamp: new Date(parseInt(status.timestamp) * 1000),
+        pricing: status.pricing,
+        errors: status.errors || []
+      })),
+      errors
+    };
+  }
 }
 
 module.exports = new WhatsAppService();
@@ -0,0 +1,174 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+
+// The stub receiver listens on localhost
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+
+const ActionJob = require('../models/ActionJob');
+const AutomationRule = require('../models/AutomationRule');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+
+const SECRET = 'test-secret';
+const rule = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId() };
+
+// Each request is answered by the next entry of `responses`: a status code, or 'hang' to
+// never answer
+let responses;
+let requests;
+let server;
+let url;
+
+// Saved documents are collected instead of written to MongoDB
+let saved;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      const response = responses.shift() ?? 200;
+      if (response === 'hang') return;
+      res.statusCode = response;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  ActionJob.prototype.save = async function() { saved.jobs.push(this); return this; };
+  WebhookDeadLetter.prototype.save = async function() { saved.deadLetters.push(this); return this; };
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  responses = [];
+  requests = [];
+  saved = { jobs: [], deadLetters: [] };
+});
+
+const params = extra => ({ url, secret: SECRET, maxRetries: 2, backoffMs: 100, ...extra });
+
+test('signs the body with the action secret', async () => {
+  const result = await webhookDeliveryService.deliverForRule(rule, 0, params(), { event: 'order.created' });
+
+  assert.strictEqual(result.delivered, true);
+  assert.strictEqual(requests.length, 1);
+
+  const [{ headers, body }] = requests;
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+  assert.strictEqual(headers['x-signature-256'], expected);
+  assert.strictEqual(headers['x-webhook-id'], result.deliveryId);
+  assert.deepStrictEqual(JSON.parse(body), { event: 'order.created' });
+});
+
+test('refuses to send without a secret', async () => {
+  const previous = process.env.WEBHOOK_SIGNING_SECRET;
+  delete process.env.WEBHOOK_SIGNING_SECRET;
+
+  let result;
+  try {
+    result = await webhookDeliveryService.deliverForRule(rule, 0, params({ secret: undefined }), {});
+  } finally {
+    if (previous !== undefined) process.env.WEBHOOK_SIGNING_SECRET = previous;
+  }
+
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(requests.length, 0);
+  assert.strictEqual(saved.deadLetters.length, 1);
+});
+
+test('schedules a retry after a 5xx response', async () => {
+  responses = [503];
+  const startedAt = Date.now();
+
+  const result = await webhookDeliveryService.deliverForRule(rule, 0, params(), {});
+
+  assert.strictEqual(result.delivered, false);
+  assert.ok(result.retryAt.getTime() >= startedAt + 100);
+  assert.strictEqual(saved.jobs.length, 1);
+  assert.strictEqual(saved.jobs[0].type, 'webhook');
+  assert.strictEqual(saved.jobs[0].webhook.deliveryId, result.deliveryId);
+  assert.strictEqual(saved.jobs[0].webhook.attempts[0].statusCode, 503);
+});
+
+test('schedules a retry after a timeout', async () => {
+  responses = ['hang'];
+
+  const result = await webhookDeliveryService.deliverForRule(rule, 0, params({ timeoutMs: 1000 }), {});
+
+  assert.strictEqual(result.delivered, false);
+  assert.match(result.lastError, /Timed out after 1000ms/);
+  assert.ok(result.retryAt);
+  assert.strictEqual(saved.jobs.length, 1);
+});
+
+test('dead-letters the delivery once the retries are used up', async () => {
+  responses = [500, 500, 500];
+
+  let result = await webhookDeliveryService.deliverForRule(rule, 0, params(), {});
+  while (result.retryAt) {
+    result = await webhookDeliveryService.deliverForRule(rule, 0, params(), {}, {
+      deliveryId: result.deliveryId,
+      attempts: result.attempts
+    });
+  }
+
+  assert.strictEqual(requests.length, 3);
+  assert.deepStrictEqual(requests.map(request => request.headers['x-webhook-attempt']), ['1', '2', '3']);
+  assert.strictEqual(saved.jobs.length, 2);
+  assert.strictEqual(saved.deadLetters.length, 1);
+
+  const [deadLetter] = saved.deadLetters;
+  assert.strictEqual(deadLetter.deliveryId, result.deliveryId);
+  assert.strictEqual(deadLetter.attempts.length, 3);
+  assert.strictEqual(deadLetter.lastError, 'Responded with status 500');
+});
+
+test('dead-letters a 4xx response without retrying', async () => {
+  responses = [400];
+
+  const result = await webhookDeliveryService.deliverForRule(rule, 0, params(), {});
+
+  assert.strictEqual(result.retryAt, undefined);
+  assert.strictEqual(saved.jobs.length, 0);
+  assert.strictEqual(saved.deadLetters.length, 1);
+});
+
+test('replays a dead letter with the same delivery id', async () => {
+  responses = [503, 200];
+  AutomationRule.findOne = async () => ({ actions: [{ type: 'webhook', params: params() }] });
+
+  const deadLetter = new WebhookDeadLetter({
+    user: rule.user,
+    rule: rule._id,
+    actionIndex: 0,
+    deliveryId: 'delivery-1',
+    url,
+    payload: { event: 'order.created' },
+    attempts: [{ attemptedAt: new Date(), statusCode: 500 }]
+  });
+
+  await webhookDeliveryService.queueReplay(deadLetter);
+  assert.strictEqual(deadLetter.status, 'queued');
+  assert.strictEqual(saved.jobs[0].type, 'replay');
+
+  let result = await webhookDeliveryService.replay(deadLetter);
+  assert.ok(result.retryAt);
+  assert.strictEqual(saved.jobs[1].type, 'replay');
+
+  result = await webhookDeliveryService.replay(deadLetter, result.attempts);
+  assert.strictEqual(result.delivered, true);
+  assert.strictEqual(deadLetter.status, 'replayed');
+  assert.strictEqual(deadLetter.attempts.length, 3);
+  assert.ok(requests.every(request => request.headers['x-webhook-id'] === 'delivery-1'));
+  assert.ok(requests.every(request => request.headers['x-signature-256']));
+});
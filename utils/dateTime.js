@@ -0,0 +1,70 @@
+const logger = require('../config/logger');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Falls back to the default timezone when the given one is not a valid IANA name
+function resolveTimeZone(timeZone) {
+  if (!timeZone) return DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    logger.warn(`Invalid timezone "${timeZone}", using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+// Calendar parts of a date as seen on a wall clock in the given timezone
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'long',
+    hourCycle: 'h23'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+// Start of the next calendar day in the given timezone
+function getNextMidnight(date, timeZone) {
+  const { hour, minute, second } = getZonedParts(date, timeZone);
+  const elapsedMs = ((hour * 60 + minute) * 60 + second) * 1000 + date.getMilliseconds();
+  return new Date(date.getTime() - elapsedMs + 24 * 60 * 60 * 1000);
+}
+
+// Whether an HH:mm time falls in [start, end), supporting windows that cross midnight
+function isTimeInWindow(time, start, end) {
+  if (start <= end) {
+    return time >= start && time < end;
+  }
+  return time >= start || time < end;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  resolveTimeZone,
+  getZonedParts,
+  getNextMidnight,
+  isTimeInWindow
+};
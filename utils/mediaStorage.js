@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Storage adapters keep downloaded WhatsApp media. An adapter has a `name` and implements:
+//   save(key, stream, { mimeType })  -> reads the stream to its end and resolves once the
+//                                       file is stored; rejects, storing nothing, if the
+//                                       stream errors
+//   createReadStream(key)            -> readable stream of the file
+//   exists(key)                      -> resolves to a boolean
+//   remove(key)                      -> resolves once the file is gone
+// Register others (e.g. S3) with registerStorage() and select them with MEDIA_STORAGE.
+
+class LocalDiskStorage {
+  constructor(rootPath = process.env.MEDIA_STORAGE_PATH || path.join(__dirname, '../media')) {
+    this.name = 'local';
+    this.rootPath = path.resolve(rootPath);
+  }
+
+  // Keys are relative paths; anything escaping the storage root is refused
+  resolve(key) {
+    const filePath = path.resolve(this.rootPath, key);
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Written to a temporary file first so a failed download never replaces a stored file
+  async save(key, stream) {
+    const filePath = this.resolve(key);
+    const partialPath = `${filePath}.partial`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await pipeline(stream, fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const adapters = {
+  local: () => new LocalDiskStorage()
+};
+
+function registerStorage(name, factory) {
+  adapters[name] = factory;
+}
+
+function createStorage(name = process.env.MEDIA_STORAGE || 'local') {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown media storage adapter: ${name}`);
+  }
+  return factory();
+}
+
+module.exports = { LocalDiskStorage, registerStorage, createStorage };
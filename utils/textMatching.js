@@ -0,0 +1,54 @@
+// Lowercase, punctuation-free text with single spaces; "5 kg" and "5kg" both become "5kg"
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/(\d)\s+(kg|g|gm|gms|l|ltr|ml|pcs|pc)\b/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical words, falling towards 0 as more edits are needed; prefixes of at
+// least three letters ("basm" for "basmati") count as close matches
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length >= 3 && b.startsWith(a)) return 0.9;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// How well a query is covered by a candidate text, from 0 to 1. Each query word is paired
+// with its closest candidate word; unrelated extra words in the candidate cost a little.
+function similarity(query, candidate) {
+  const queryTokens = tokenize(query);
+  const candidateTokens = tokenize(candidate);
+  if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  const coverage = queryTokens.reduce((sum, token) =>
+    sum + Math.max(...candidateTokens.map(candidateToken => wordSimilarity(token, candidateToken))), 0) / queryTokens.length;
+  const extraWords = Math.max(candidateTokens.length - queryTokens.length, 0);
+
+  return coverage * (1 - Math.min(extraWords * 0.05, 0.2));
+}
+
+module.exports = { normalize, tokenize, levenshtein, similarity };
@@ -0,0 +1,86 @@
+// Graph API error codes worth retrying: throttling and temporary outages.
+// See https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+const RATE_LIMIT_CODES = [
+  4, // Application request limit reached
+  17, // User request limit reached
+  613, // Calls to this API have exceeded the rate limit
+  80007, // WhatsApp Business Account rate limit reached
+  130429, // Cloud API message throughput reached
+  131048, // Spam rate limit hit
+  131056 // Too many messages to the same recipient
+];
+
+const TRANSIENT_CODES = [
+  1, // API unknown
+  2, // API service temporarily unavailable
+  131000, // Something went wrong
+  131016, // Service unavailable
+  133004 // Server temporarily unavailable
+];
+
+// Connection failures that happen before a request is sent, so a retry can't send twice
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+class WhatsAppApiError extends Error {
+  constructor(message, { status, code, subcode, type, details, fbtraceId } = {}) {
+    super(message);
+    this.name = 'WhatsAppApiError';
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.type = type;
+    this.details = details;
+    this.fbtraceId = fbtraceId;
+    this.rateLimited = RATE_LIMIT_CODES.includes(code) || status === 429;
+    this.retryable = this.rateLimited || TRANSIENT_CODES.includes(code) || status >= 500;
+  }
+
+  static fromResponse(status, data) {
+    const error = data?.error || {};
+    return new WhatsAppApiError(error.message || `WhatsApp API request failed with status ${status}`, {
+      status,
+      code: error.code,
+      subcode: error.error_subcode,
+      type: error.type,
+      details: error.error_data?.details,
+      fbtraceId: error.fbtrace_id
+    });
+  }
+
+  // Only failures to connect are retryable. After a timeout or dropped connection the API may
+  // already have accepted the message, and sending it again would deliver it twice.
+  static fromNetworkError(error) {
+    const networkError = new WhatsAppApiError(error.message, { type: 'network', details: error.code });
+    networkError.retryable = UNSENT_NETWORK_CODES.includes(error.code);
+    return networkError;
+  }
+}
+
+// Free-form messages are only allowed within 24 hours of the customer's last message
+class ServiceWindowClosedError extends Error {
+  constructor(phone, lastIncomingAt) {
+    super(`The 24-hour customer service window for ${phone} is closed; send an approved template instead`);
+    this.name = 'ServiceWindowClosedError';
+    this.code = 'SERVICE_WINDOW_CLOSED';
+    this.lastIncomingAt = lastIncomingAt || null;
+  }
+}
+
+// Template parameters that don't match the stored template would be rejected by the API
+class TemplateValidationError extends Error {
+  constructor(templateName, language, details) {
+    super(`Components do not match template ${templateName} (${language})`);
+    this.name = 'TemplateValidationError';
+    this.code = 'TEMPLATE_PARAMETER_MISMATCH';
+    this.details = details;
+  }
+}
+
+module.exports = {
+  WhatsAppApiError,
+  ServiceWindowClosedError,
+  TemplateValidationError,
+  RATE_LIMIT_CODES,
+  TRANSIENT_CODES,
+  UNSENT_NETWORK_CODES
+};